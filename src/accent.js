@@ -0,0 +1,193 @@
+/**
+ * Accent colors: parses colors and generates the Bootstrap variables of an accent color,
+ * with the contrast adjusted separately for the light and dark themes.
+ */
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+// Body backgrounds of Bootstrap's light and dark themes, which links and emphasized text are read on
+const BACKGROUNDS = {
+    light: [255, 255, 255],
+    dark: [33, 37, 41]
+};
+
+// WCAG AA contrast ratio of normal text
+const MIN_CONTRAST = 4.5;
+
+// Bootstrap's primary color, the value of the color input while no accent is selected
+export const DEFAULT_ACCENT = '#0d6efd';
+
+/**
+ * Converts a #rrggbb color to its red, green and blue channels.
+ * @param {string} hex - The color.
+ * @returns {Array<number>} - [red, green, blue] from 0 to 255.
+ */
+const toRgb = hex => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+/**
+ * Converts red, green and blue channels to a #rrggbb color.
+ * @param {Array<number>} rgb - [red, green, blue] from 0 to 255.
+ * @returns {string} - The color.
+ */
+const toHex = rgb => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Mixes a color with another one, like Bootstrap's tint-color() and shade-color() with white and black.
+ * @param {Array<number>} rgb - The color.
+ * @param {Array<number>} other - The color to mix in.
+ * @param {number} weight - The share of the other color, from 0 to 1.
+ * @returns {Array<number>} - The mixed color.
+ */
+const mix = (rgb, other, weight) => rgb.map((channel, index) => channel * (1 - weight) + other[index] * weight);
+
+/**
+ * Returns the relative luminance of a color as defined by WCAG.
+ * @param {Array<number>} rgb - The color.
+ * @returns {number} - The luminance from 0 to 1.
+ */
+const luminance = rgb => {
+    const [red, green, blue] = rgb.map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/**
+ * Returns the WCAG contrast ratio of two colors.
+ * @param {Array<number>} first - The first color.
+ * @param {Array<number>} second - The second color.
+ * @returns {number} - The ratio from 1 to 21.
+ */
+const contrast = (first, second) => {
+    const [light, dark] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Mixes white or black into a color until it is readable on a background.
+ * @param {Array<number>} rgb - The color.
+ * @param {Array<number>} background - The background it is shown on.
+ * @param {Array<number>} toward - White or black.
+ * @returns {Array<number>} - The readable color.
+ */
+const readable = (rgb, background, toward) => {
+    let result = rgb;
+    for (let step = 1; step <= 10 && contrast(result, background) < MIN_CONTRAST; step += 1) {
+        result = mix(rgb, toward, step / 10);
+    }
+    return result;
+};
+
+/**
+ * Parses an accent color.
+ * @param {*} value - A #rgb or #rrggbb color.
+ * @returns {string|null} - The lowercase #rrggbb color, or null if the value is not a supported color.
+ */
+export function parseColor(value) {
+    if (typeof value !== 'string') return null;
+
+    const color = value.trim().toLowerCase();
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/.test(color)) return `#${[...color.slice(1)].map(digit => digit + digit).join('')}`;
+
+    return null;
+}
+
+/**
+ * Returns the Bootstrap variables of an accent color for the light or dark theme.
+ * Links and emphasized text are darkened in the light theme and lightened in the dark theme until they are readable.
+ * @param {string} color - The #rrggbb accent color.
+ * @param {string} mode - 'light' or 'dark'.
+ * @returns {Object} - Values by variable name.
+ */
+export function createAccentVariables(color, mode) {
+    const dark = mode === 'dark';
+    const accent = toRgb(color);
+    const background = BACKGROUNDS[dark ? 'dark' : 'light'];
+    const toward = dark ? WHITE : BLACK;
+
+    // Text on accent backgrounds, e.g. of .btn-primary
+    const text = contrast(WHITE, accent) >= contrast(BLACK, accent) ? WHITE : BLACK;
+    const shift = text === WHITE ? BLACK : WHITE;
+
+    const emphasis = readable(dark ? mix(accent, WHITE, 0.4) : mix(accent, BLACK, 0.6), background, toward);
+    const link = dark ? emphasis : readable(accent, background, toward);
+    const linkHover = mix(link, toward, 0.2);
+
+    return {
+        '--bs-primary': color,
+        '--bs-primary-rgb': accent.join(', '),
+        '--bs-primary-text-emphasis': toHex(emphasis),
+        '--bs-primary-bg-subtle': toHex(dark ? mix(accent, BLACK, 0.8) : mix(accent, WHITE, 0.8)),
+        '--bs-primary-border-subtle': toHex(dark ? mix(accent, BLACK, 0.4) : mix(accent, WHITE, 0.6)),
+        '--bs-link-color': toHex(link),
+        '--bs-link-color-rgb': link.map(Math.round).join(', '),
+        '--bs-link-hover-color': toHex(linkHover),
+        '--bs-link-hover-color-rgb': linkHover.map(Math.round).join(', '),
+        '--bs-accent-contrast': toHex(text),
+        '--bs-accent-hover': toHex(mix(accent, shift, 0.15)),
+        '--bs-accent-active': toHex(mix(accent, shift, 0.2))
+    };
+}
+
+/**
+ * Creates the stylesheet of an accent color. Bootstrap compiles the primary color into components such as
+ * .btn-primary, so their variables are pointed to the accent variables, which follow the theme of their scope.
+ * @param {string} color - The #rrggbb accent color.
+ * @param {Object} selectors - { light, dark } lists of selectors of elements with a light or dark theme.
+ * @returns {string} - The CSS.
+ */
+export function createAccentCss(color, selectors) {
+    const rule = (selector, declarations) => `${selector} {\n${Object.entries(declarations)
+        .map(([property, value]) => `    ${property}: ${value};`)
+        .join('\n')}\n}`;
+
+    const button = {
+        '--bs-btn-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-bg': 'var(--bs-primary)',
+        '--bs-btn-border-color': 'var(--bs-primary)',
+        '--bs-btn-hover-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-hover-bg': 'var(--bs-accent-hover)',
+        '--bs-btn-hover-border-color': 'var(--bs-accent-hover)',
+        '--bs-btn-active-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-active-bg': 'var(--bs-accent-active)',
+        '--bs-btn-active-border-color': 'var(--bs-accent-active)',
+        '--bs-btn-disabled-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-disabled-bg': 'var(--bs-primary)',
+        '--bs-btn-disabled-border-color': 'var(--bs-primary)'
+    };
+
+    const outline = {
+        '--bs-btn-color': 'var(--bs-primary)',
+        '--bs-btn-border-color': 'var(--bs-primary)',
+        '--bs-btn-hover-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-hover-bg': 'var(--bs-primary)',
+        '--bs-btn-hover-border-color': 'var(--bs-primary)',
+        '--bs-btn-active-color': 'var(--bs-accent-contrast)',
+        '--bs-btn-active-bg': 'var(--bs-primary)',
+        '--bs-btn-active-border-color': 'var(--bs-primary)',
+        '--bs-btn-disabled-color': 'var(--bs-primary)',
+        '--bs-btn-disabled-border-color': 'var(--bs-primary)'
+    };
+
+    return [
+        rule(selectors.light.join(', '), createAccentVariables(color, 'light')),
+        rule(selectors.dark.join(', '), createAccentVariables(color, 'dark')),
+        rule('.btn-primary', button),
+        rule('.btn-outline-primary', outline),
+        rule('.dropdown-menu', {
+            '--bs-dropdown-link-active-color': 'var(--bs-accent-contrast)',
+            '--bs-dropdown-link-active-bg': 'var(--bs-primary)'
+        }),
+        rule('.nav-pills', {
+            '--bs-nav-pills-link-active-color': 'var(--bs-accent-contrast)',
+            '--bs-nav-pills-link-active-bg': 'var(--bs-primary)'
+        }),
+        rule('.form-check-input:checked', {
+            'background-color': 'var(--bs-primary)',
+            'border-color': 'var(--bs-primary)'
+        })
+    ].join('\n');
+}
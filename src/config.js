@@ -0,0 +1,229 @@
+/**
+ * Schema of the toggler options, used to validate options and to merge them with the current configuration.
+ * An entry describes an option with:
+ * - type: allowed types, see typeOf()
+ * - values: allowed values of primitive types
+ * - properties: schema of the keys of an object option, which is merged key by key
+ * - merge: merge an object option key by key at any depth, for options with free keys
+ * - deprecated: message for options that are no longer supported
+ */
+
+import { ICON_PRESETS } from './icons.js';
+
+const UI_VARIANTS = ['dropdown', 'nav', 'switch', 'buttons', 'cycle'];
+const STORAGE_TYPES = ['local', 'session', 'cookie', 'memory', 'none'];
+
+export const CONFIG_SCHEMA = {
+    root: { type: ['string', 'element'] },
+    prepend: { type: 'boolean' },
+    align: { type: 'string', values: ['start', 'end'] },
+    target: { type: ['string', 'element', 'null'] },
+    storageKey: { type: ['string', 'null'] },
+    inherit: { type: 'boolean' },
+    ui: { type: ['string', 'function'], values: UI_VARIANTS },
+    icons: { type: ['string', 'object'], values: Object.keys(ICON_PRESETS) },
+    display: { type: ['string', 'null'], values: ['icon', 'text', 'both'] },
+    i18n: {
+        type: 'object',
+        properties: {
+            default: { type: 'string' },
+            autoDetect: { type: ['string', 'boolean'], values: ['browser', 'document', false] },
+            observe: { type: 'boolean' },
+            timeout: { type: ['number', 'null'] },
+            translations: { type: 'object', merge: true }
+        }
+    },
+    themes: { type: 'array' },
+    announce: { type: 'boolean' },
+    transition: { type: ['boolean', 'object'] },
+    frames: {
+        type: 'object',
+        properties: {
+            role: { type: ['string', 'null'], values: ['parent', 'child'] },
+            origins: { type: 'array' },
+            follow: { type: 'boolean' }
+        }
+    },
+    schedule: { type: ['object', 'null'] },
+    policy: {
+        type: 'object',
+        properties: {
+            allowed: { type: ['array', 'null'] },
+            forced: { type: ['string', 'null'] },
+            parameter: { type: ['string', 'null'] }
+        }
+    },
+    dropdown: { type: ['function', 'boolean', 'null'] },
+    appearance: {
+        type: 'object',
+        properties: {
+            themeColor: { type: ['object', 'null'] },
+            colorScheme: { type: 'boolean' },
+            favicon: { type: ['object', 'null'] },
+            images: { type: 'boolean' }
+        }
+    },
+    accent: {
+        type: 'object',
+        properties: {
+            picker: { type: 'boolean' },
+            colors: { type: 'array' },
+            custom: { type: 'boolean' },
+            default: { type: ['string', 'null'] }
+        }
+    },
+    classes: {
+        type: 'object',
+        properties: {
+            container: { type: 'string' },
+            button: { type: 'string' },
+            menu: { type: 'string' }
+        }
+    },
+    onBeforeChange: { type: ['function', 'null'] },
+    onChange: { type: ['function', 'null'] },
+    storage: {
+        type: 'object',
+        properties: {
+            type: { type: ['string', 'object'], values: STORAGE_TYPES },
+            key: { type: 'string' },
+            expiration: { type: ['number', 'null'] },
+            cookie: { type: 'object' },
+            migrate: { type: 'array' },
+            crossTab: { type: 'boolean' },
+            encryption: { deprecated: 'Encryption is not supported, the stored theme is not sensitive.' }
+        }
+    },
+    sync: {
+        type: 'object',
+        properties: {
+            endpoint: { type: ['string', 'null'] },
+            headers: { type: 'object' },
+            load: { type: ['function', 'null'] },
+            save: { type: ['function', 'null'] },
+            debounce: { type: 'number' }
+        }
+    }
+};
+
+/**
+ * Returns the schema type of a value.
+ * @param {*} value - The value.
+ * @returns {string} - 'null', 'array', 'element' or the typeof value.
+ */
+const typeOf = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof HTMLElement !== 'undefined' && value instanceof HTMLElement) return 'element';
+    return typeof value;
+};
+
+/**
+ * Whether a value is a plain object, e.g. an options object.
+ * @param {*} value - The value.
+ * @returns {boolean} - Whether the value is a plain object.
+ */
+const isPlainObject = value => {
+    if (typeOf(value) !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Formats a value for messages.
+ * @param {*} value - The value.
+ * @returns {string} - The formatted value.
+ */
+const format = value => (typeof value === 'string' ? `'${value}'` : String(value));
+
+/**
+ * Validates options against the schema. Invalid, unknown and deprecated options are left out of the result.
+ * @param {Object} options - The options to validate.
+ * @param {Object} [schema=CONFIG_SCHEMA] - The schema of the options.
+ * @param {string} [path=''] - The path of the options, used in messages.
+ * @returns {Object} - { options, errors, warnings } with the valid options and the messages.
+ */
+export function validateConfig(options, schema = CONFIG_SCHEMA, path = '') {
+    const result = { options: {}, errors: [], warnings: [] };
+
+    Object.keys(options).forEach(key => {
+        const name = `${path}${key}`;
+        const entry = schema[key];
+        const value = options[key];
+
+        if (!entry) {
+            result.warnings.push(`Unknown option ${name} is ignored.`);
+            return;
+        }
+
+        if (entry.deprecated) {
+            result.warnings.push(`Option ${name} is deprecated and ignored. ${entry.deprecated}`);
+            return;
+        }
+
+        if (value === undefined) return;
+
+        const types = [].concat(entry.type);
+        const type = typeOf(value);
+        if (!types.includes(type)) {
+            result.errors.push(`Invalid type of ${name}: ${type}. Expected ${types.join(' or ')}.`);
+            return;
+        }
+
+        const primitive = type === 'string' || type === 'boolean' || type === 'number';
+        if (entry.values && primitive && !entry.values.includes(value)) {
+            result.errors.push(`Invalid value of ${name}: ${format(value)}. Expected one of: ${entry.values.map(format).join(', ')}.`);
+            return;
+        }
+
+        if (entry.properties && isPlainObject(value)) {
+            const nested = validateConfig(value, entry.properties, `${name}.`);
+            result.options[key] = nested.options;
+            result.errors.push(...nested.errors);
+            result.warnings.push(...nested.warnings);
+            return;
+        }
+
+        result.options[key] = value;
+    });
+
+    return result;
+}
+
+/**
+ * Merges options into a configuration. Objects with a schema of their properties, or marked to merge, are merged
+ * key by key, other values replace the current ones.
+ * @param {Object} config - The current configuration.
+ * @param {Object} options - The options to merge.
+ * @param {Object|boolean} [schema=CONFIG_SCHEMA] - The schema of the options, true to merge objects at any depth.
+ * @returns {Object} - The merged configuration.
+ */
+export function mergeConfig(config, options, schema = CONFIG_SCHEMA) {
+    const result = { ...config };
+
+    Object.keys(options).forEach(key => {
+        const entry = schema === true ? { merge: true } : schema[key];
+        const value = options[key];
+        const mergeable = entry && (entry.properties || entry.merge) && isPlainObject(value) && isPlainObject(config[key]);
+
+        result[key] = mergeable ? mergeConfig(config[key], value, entry.properties || true) : value;
+    });
+
+    return result;
+}
+
+/**
+ * Copies a configuration, so changing the copy does not change the configuration.
+ * Plain objects and arrays are copied, other values such as functions and elements are kept.
+ * @param {*} value - The configuration or a value of it.
+ * @returns {*} - The copy.
+ */
+export function cloneConfig(value) {
+    if (Array.isArray(value)) return value.map(cloneConfig);
+    if (!isPlainObject(value)) return value;
+
+    return Object.keys(value).reduce((copy, key) => {
+        copy[key] = cloneConfig(value[key]);
+        return copy;
+    }, {});
+}
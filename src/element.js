@@ -0,0 +1,194 @@
+/**
+ * The <bs-theme-toggler> custom element, rendering a toggler in its light DOM,
+ * so the global Bootstrap styles apply to it.
+ */
+
+/**
+ * Maps attributes of the element to toggler options.
+ * Attributes of shared options (storage, i18n) apply to all togglers on the page.
+ */
+const ATTRIBUTES = {
+    variant: (options, value) => {
+        options.ui = value;
+    },
+    icons: (options, value) => {
+        options.icons = value;
+    },
+    display: (options, value) => {
+        options.display = value;
+    },
+    align: (options, value) => {
+        options.align = value;
+    },
+    target: (options, value) => {
+        options.target = value;
+    },
+    'storage-key': (options, value) => {
+        options.storageKey = value;
+    },
+    inherit: (options, value) => {
+        options.inherit = value !== 'false';
+    },
+    storage: (options, value) => {
+        options.storage = { type: value };
+    }
+};
+
+/**
+ * Creates the custom element class. It is created on demand, so the module can be evaluated without a DOM.
+ * @param {Function} Toggler - The BootstrapThemeToggler class.
+ * @returns {Function} - The custom element class.
+ */
+export function createThemeTogglerElement(Toggler) {
+    return class BootstrapThemeTogglerElement extends HTMLElement {
+        static get observedAttributes() {
+            return [...Object.keys(ATTRIBUTES), 'lang'];
+        }
+
+        constructor() {
+            super();
+
+            this._toggler = null;
+            this._pending = false;
+            this._state = { theme: null, resolved: null };
+            this._onThemeChange = () => this._notify();
+
+            // Only the change events of this element reach its listeners, not those of the inner form controls
+            this.addEventListener('change', event => {
+                if (event.target !== this) {
+                    event.stopImmediatePropagation();
+                }
+            });
+        }
+
+        /**
+         * The selected theme of the toggler, settable to select another one.
+         * @type {string|null}
+         */
+        get theme() {
+            return this._toggler ? this._toggler.getTheme() : null;
+        }
+
+        set theme(value) {
+            if (this._toggler) {
+                this._toggler.setTheme(value);
+            }
+        }
+
+        /**
+         * The light or dark value the selected theme resolves to.
+         * @type {string|null}
+         */
+        get resolvedTheme() {
+            return this._toggler ? this._toggler.getResolvedTheme() : null;
+        }
+
+        /**
+         * Resolves with the toggler once it has been rendered.
+         * @type {Promise<BootstrapThemeToggler|null>}
+         */
+        get ready() {
+            return this._toggler ? this._toggler.ready.then(() => this._toggler) : Promise.resolve(null);
+        }
+
+        connectedCallback() {
+            document.addEventListener(`${Toggler._EVENT_PREFIX}change`, this._onThemeChange);
+            this._render();
+        }
+
+        disconnectedCallback() {
+            document.removeEventListener(`${Toggler._EVENT_PREFIX}change`, this._onThemeChange);
+            this._destroy();
+        }
+
+        attributeChangedCallback(name, previous, value) {
+            if (previous === value || !this._toggler) return;
+
+            // Several attributes are often changed at once, so the toggler is re-created once
+            if (!this._pending) {
+                this._pending = true;
+                queueMicrotask(() => {
+                    this._pending = false;
+                    if (this.isConnected) {
+                        this._render();
+                    }
+                });
+            }
+        }
+
+        /**
+         * Reads the toggler options from the attributes.
+         * @returns {Object} - The toggler options.
+         * @private
+         */
+        _getOptions() {
+            const options = { root: this };
+
+            Object.keys(ATTRIBUTES).forEach(name => {
+                if (this.hasAttribute(name)) {
+                    ATTRIBUTES[name](options, this.getAttribute(name));
+                }
+            });
+
+            return options;
+        }
+
+        /**
+         * Replaces the toggler with one using the current attributes.
+         * @returns {void} This method does not return a value.
+         * @private
+         */
+        _render() {
+            this._destroy();
+
+            const toggler = new Toggler(this._getOptions());
+            this._toggler = toggler;
+
+            toggler.ready.then(async () => {
+                if (this._toggler !== toggler) return;
+
+                this._state = { theme: toggler.getTheme(), resolved: toggler.getResolvedTheme() };
+
+                const lang = this.getAttribute('lang');
+                if (lang && lang !== Toggler._language) {
+                    await Toggler.setLanguage(lang);
+                }
+            });
+        }
+
+        /**
+         * Destroys the toggler of this element.
+         * @returns {void} This method does not return a value.
+         * @private
+         */
+        _destroy() {
+            if (this._toggler) {
+                this._toggler.destroy();
+                this._toggler = null;
+            }
+        }
+
+        /**
+         * Dispatches a change event when the theme of this toggler changed.
+         * @returns {void} This method does not return a value.
+         * @private
+         */
+        _notify() {
+            if (!this._toggler) return;
+
+            const previous = this._state;
+            const state = { theme: this._toggler.getTheme(), resolved: this._toggler.getResolvedTheme() };
+            if (state.theme === previous.theme && state.resolved === previous.resolved) return;
+
+            this._state = state;
+            this.dispatchEvent(new CustomEvent('change', {
+                bubbles: true,
+                detail: {
+                    ...state,
+                    previousTheme: previous.theme,
+                    previousResolved: previous.resolved
+                }
+            }));
+        }
+    };
+}
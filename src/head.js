@@ -0,0 +1,134 @@
+/**
+ * Applies the stored theme to the document element before the first paint.
+ * The function is self-contained, so createHeadScript() can inline its source.
+ * @param {Object} [options={}] - Settings prepared by createHeadScript().
+ * @param {string} [options.key='useTheme'] - The storage key.
+ * @param {string} [options.storage='local'] - The storage type, 'local', 'session', 'cookie' or 'none'.
+ * @param {string} [options.cookie] - The cookie name of the cookie storage.
+ * @param {number|null} [options.expiration=null] - Expiration of the stored value in milliseconds.
+ * @param {Object} [options.themes] - Map of theme ids to their data-bs-theme values.
+ * @param {Array<string>} [options.palettes] - Ids of the themes with a palette, set as data-bs-palette.
+ * @param {Object|null} [options.schedule=null] - Light and dark times ('HH:MM') of the 'auto' theme.
+ * @param {Object} [options.policy] - { allowed, forced, parameter }, see the policy option of the toggler.
+ * @returns {string|null} - The applied data-bs-theme value or null if nothing was applied.
+ */
+export function applyStoredTheme(options = {}) {
+    try {
+        const key = options.key || 'useTheme';
+        let raw = null;
+
+        if (options.storage === 'cookie') {
+            const prefix = `${encodeURIComponent(options.cookie || key)}=`;
+            const cookie = document.cookie.split('; ').find(item => item.startsWith(prefix));
+            raw = cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+        } else if (options.storage !== 'none') {
+            raw = (options.storage === 'session' ? window.sessionStorage : window.localStorage).getItem(key);
+        }
+
+        let data = null;
+        try {
+            data = JSON.parse(raw || 'null');
+        } catch {
+            data = raw;
+        }
+        data = typeof data === 'string' ? { value: data, timestamp: null } : data;
+
+        const expired = data && options.expiration && data.timestamp && Date.now() - data.timestamp > options.expiration;
+        let value = data && !expired ? data.value : 'system';
+
+        const themes = options.themes || { light: 'light', dark: 'dark' };
+        const policy = options.policy || {};
+        const allowed = policy.allowed;
+        const isAllowed = id => !allowed || allowed.indexOf(id) !== -1;
+
+        if (!isAllowed(value)) {
+            value = isAllowed('system') ? 'system' : allowed[0];
+        }
+
+        if (policy.parameter) {
+            const parameter = new URLSearchParams(window.location.search).get(policy.parameter)
+                || new URLSearchParams(window.location.hash.slice(1)).get(policy.parameter);
+            if (parameter && (themes[parameter] || parameter === 'system' || parameter === 'auto') && isAllowed(parameter)) {
+                value = parameter;
+            }
+        }
+
+        if (policy.forced) {
+            value = policy.forced;
+        }
+
+        let theme = themes[value];
+
+        const schedule = options.schedule;
+        if (value === 'auto' && schedule && schedule.light && schedule.dark) {
+            const toMinutes = time => +time.split(':')[0] * 60 + +time.split(':')[1];
+            const now = new Date();
+            const minutes = now.getHours() * 60 + now.getMinutes();
+            const light = toMinutes(schedule.light);
+            const dark = toMinutes(schedule.dark);
+            const isLight = light <= dark ? minutes >= light && minutes < dark : minutes >= light || minutes < dark;
+            theme = isLight ? 'light' : 'dark';
+        }
+
+        if (!theme) {
+            theme = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+
+        document.documentElement.setAttribute('data-bs-theme', theme);
+        if (options.palettes && options.palettes.indexOf(value) !== -1) {
+            document.documentElement.setAttribute('data-bs-palette', value);
+        }
+        return theme;
+    } catch {
+        // Storage is not available, the toggler applies the theme later
+        return null;
+    }
+}
+
+/**
+ * Generates an inline <script> for the <head> that applies the stored theme before the first paint.
+ * Accepts the same options as BootstrapThemeToggler.run().
+ * @param {Object} [options={}] - Optional settings.
+ * @param {Object} [options.storage] - Storage settings, { type, key, expiration, cookie }.
+ * @param {Array<Object>} [options.themes] - Custom theme definitions, see registerTheme().
+ * @param {Object} [options.schedule] - Schedule of the 'auto' theme. Sunrise/sunset schedules fall back to the system preference.
+ * @param {Object} [options.policy] - Allowed, forced and URL parameter themes.
+ * @param {string} [options.key] - The storage key, overrides storage.key.
+ * @param {string} [options.nonce] - Nonce attribute for Content Security Policy.
+ * @returns {string} - The <script> element as an HTML string.
+ */
+export function createHeadScript(options = {}) {
+    const storage = options.storage || {};
+    const themes = { light: 'light', dark: 'dark' };
+    const palettes = [];
+
+    (options.themes || []).forEach(theme => {
+        if (theme && theme.id) {
+            themes[theme.id] = theme.base || 'light';
+            if (theme.palette && Object.keys(theme.palette).length && palettes.indexOf(theme.id) === -1) {
+                palettes.push(theme.id);
+            }
+        }
+    });
+
+    // Custom storage adapters cannot be read before the toggler loads
+    const type = storage.type === undefined ? 'local' : storage.type;
+
+    const settings = {
+        key: options.key || storage.key || 'useTheme',
+        storage: ['local', 'session', 'cookie'].includes(type) ? type : 'none',
+        cookie: storage.cookie && storage.cookie.name ? storage.cookie.name : null,
+        expiration: storage.expiration || null,
+        themes,
+        palettes,
+        schedule: options.schedule && typeof options.schedule.latitude !== 'number'
+            ? { light: options.schedule.light || '07:00', dark: options.schedule.dark || '19:00' }
+            : null,
+        policy: options.policy || null
+    };
+
+    const json = JSON.stringify(settings).replace(/</g, '\\u003c');
+    const nonce = options.nonce ? ` nonce="${String(options.nonce).replace(/"/g, '&quot;')}"` : '';
+
+    return `<script${nonce}>(${applyStoredTheme.toString()})(${json});</script>`;
+}
@@ -1,9 +1,17 @@
+import { DEFAULT_ACCENT, createAccentCss, parseColor } from './accent.js';
+import { CONFIG_SCHEMA, cloneConfig, mergeConfig, validateConfig } from './config.js';
+import { createThemeTogglerElement } from './element.js';
+import { createHeadScript } from './head.js';
+import { ICON_PRESETS } from './icons.js';
+import { renderMarkup } from './markup.js';
+import { createWebStorageAdapter, createCookieAdapter, createMemoryAdapter, createNoopAdapter } from './storage.js';
+
 export default class BootstrapThemeToggler {
 
     /**
      * @constant {boolean} _ENABLE_LOGS
      */
-    static _ENABLE_LOGS = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+    static _ENABLE_LOGS = typeof window !== 'undefined' && (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1');
     
     /**
      * @constant {string} _LOCAL_STORAGE_KEY
@@ -11,9 +19,211 @@ export default class BootstrapThemeToggler {
     static _LOCAL_STORAGE_KEY = 'useTheme'; 
 
     /**
-     * @constant {string} _ELEMENT_ID
+     * @constant {string} _CHANNEL_NAME
+     */
+    static _CHANNEL_NAME = 'bootstrap-theme-toggler';
+
+    /**
+     * Options applying to a single instance, not merged into the shared configuration.
+     * @constant {Array<string>} _INSTANCE_OPTIONS
+     */
+    static _INSTANCE_OPTIONS = ['root', 'prepend', 'align', 'ui', 'icons', 'display', 'classes', 'target', 'storageKey', 'inherit'];
+
+    /**
+     * @constant {string} _STYLE_ATTRIBUTE
+     */
+    static _STYLE_ATTRIBUTE = 'data-bs-theme-palette';
+
+    /**
+     * Attribute receiving the id of a theme with a palette, next to its light/dark data-bs-theme value.
+     * @constant {string} _PALETTE_ATTRIBUTE
+     */
+    static _PALETTE_ATTRIBUTE = 'data-bs-palette';
+
+    /**
+     * @constant {string} _ACCENT_ATTRIBUTE
+     */
+    static _ACCENT_ATTRIBUTE = 'data-bs-theme-accent';
+
+    /**
+     * Attribute keeping the original content or href of a <meta name="theme-color"> or icon <link> the toggler changed.
+     * @constant {string} _DEFAULT_ATTRIBUTE
+     */
+    static _DEFAULT_ATTRIBUTE = 'data-bs-theme-default';
+
+    /**
+     * MIME types of favicon file extensions, used to only replace the icon links of the same type.
+     * @constant {object} _ICON_TYPES
+     */
+    static _ICON_TYPES = {
+        ico: 'image/x-icon',
+        svg: 'image/svg+xml',
+        png: 'image/png',
+        gif: 'image/gif',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        webp: 'image/webp'
+    };
+
+    /**
+     * Registered theme definitions in the order they appear in the menu.
+     * @type {Array<object>} _themes
+     */
+    static _themes = [
+        { id: 'system', label: 'system', text: 'System', icon: 'bi bi-circle-half', base: 'system', palette: null },
+        { id: 'auto', label: 'auto', text: 'Auto', icon: 'bi bi-clock', base: 'schedule', palette: null },
+        { id: 'light', label: 'light', text: 'Light', icon: 'bi bi-brightness-high-fill', base: 'light', palette: null },
+        { id: 'dark', label: 'dark', text: 'Dark', icon: 'bi bi-moon-fill', base: 'dark', palette: null }
+    ];
+
+    /**
+     * @constant {string} _DARK_QUERY
+     */
+    static _DARK_QUERY = '(prefers-color-scheme: dark)';
+
+    /**
+     * @constant {string} _EVENT_PREFIX
+     */
+    static _EVENT_PREFIX = 'bs-theme:';
+
+    /**
+     * Theme state of the document element. Other targets get their own scope, see _resolveScope().
+     * theme is the selected theme id, resolved the light/dark value it resolved to, accent the stored accent color.
+     * @type {object} _globalScope
+     */
+    static _globalScope = {
+        target: null,
+        key: null,
+        inherit: false,
+        theme: null,
+        resolved: null,
+        accent: null,
+        restored: false
+    };
+
+    /**
+     * Theme states of targets other than the document element.
+     * @type {Array<object>} _scopes
+     */
+    static _scopes = [];
+
+    /**
+     * The active language.
+     * @type {string|null} _language
+     */
+    static _language = null;
+
+    /**
+     * Translations of the active language.
+     * @type {object} _translations
+     */
+    static _translations = {};
+
+    /**
+     * Remote translations by URL, so each file is fetched once.
+     * @type {object} _translationCache
+     */
+    static _translationCache = {};
+
+    /**
+     * Aborts the pending remote translations when another language is requested.
+     * @type {AbortController|null} _translationController
+     */
+    static _translationController = null;
+
+    /**
+     * Observer of the lang attribute of the document element, see i18n.observe.
+     * @type {MutationObserver|null} _languageObserver
+     */
+    static _languageObserver = null;
+
+    /**
+     * Rendered toggler instances sharing the theme state.
+     * @type {Array<BootstrapThemeToggler>} _instances
+     */
+    static _instances = [];
+
+    /**
+     * Shared initialization (translations and stored theme), resolved once for all instances.
+     * @type {Promise<void>|null} _initialized
+     */
+    static _initialized = null;
+
+    /**
+     * The instance created by run().
+     * @type {BootstrapThemeToggler|null} _runInstance
+     */
+    static _runInstance = null;
+
+    /**
+     * Live region announcing theme changes, created on first use.
+     * @type {HTMLElement|null} _liveRegion
+     */
+    static _liveRegion = null;
+
+    /**
+     * The storage adapter for the configured storage type, created on first use.
+     * @type {Object|null} _storageAdapter
+     */
+    static _storageAdapter = null;
+
+    /**
+     * Removes the CSS transition class after a theme change, see _transition().
+     * @type {number|null} _transitionTimer
+     */
+    static _transitionTimer = null;
+
+    /**
+     * Listeners receiving theme changes made in other tabs and windows.
+     * @type {object} _tabListeners
+     */
+    static _tabListeners = {
+        storage: null,
+        channel: null
+    };
+
+    /**
+     * Listener of theme messages from the parent window or iframes, and the iframes that asked for the theme.
+     * @type {object} _frameListeners
+     */
+    static _frameListeners = {
+        message: null,
+        windows: []
+    };
+
+    /**
+     * Active listeners of dynamic themes (system preference query and schedule timer).
+     * @type {object} _watchers
      */
-    static _ELEMENT_ID = this._uuidv4(); 
+    static _watchers = {
+        query: null,
+        listener: null,
+        timer: null
+    };
+
+    /**
+     * Delay of the first retry of a failed server save in milliseconds, doubled with each failed attempt.
+     * @constant {number} _SYNC_RETRY_DELAY
+     */
+    static _SYNC_RETRY_DELAY = 2000;
+
+    /**
+     * Longest delay between retries of a failed server save in milliseconds.
+     * @constant {number} _SYNC_RETRY_MAX
+     */
+    static _SYNC_RETRY_MAX = 300000;
+
+    /**
+     * Server sync state: the debounce or retry timer, the entry waiting to be saved, the number of failed saves
+     * and the listener retrying it once online.
+     * @type {object} _serverSync
+     */
+    static _serverSync = {
+        timer: null,
+        pending: null,
+        attempts: 0,
+        online: null
+    };
 
     /**
      * @constant {object} _config
@@ -21,28 +231,127 @@ export default class BootstrapThemeToggler {
     static _config = {
         root: 'body', 
         prepend: false,
+        align: 'start', // 'start' or 'end', aligns the dropdown menu to the start or end of the toggle, mirrored in RTL
+        target: null, // selector or element receiving data-bs-theme, null for the document element
+        storageKey: null, // storage key of a target, derived from the target selector or id when null
+        inherit: false, // whether a target follows the document theme until the user selects one
+        ui: 'dropdown', // 'dropdown', 'nav', 'switch', 'buttons', 'cycle' or a custom renderer function
+        icons: 'bootstrap-icons', // 'bootstrap-icons', 'fontawesome', 'svg', 'none' or { preset, [themeId]: icon }
+        display: null, // 'icon', 'text' or 'both', null for the default of the ui ('icon' for cycle, otherwise 'both')
         i18n: { 
             default: 'en',
             autoDetect: false, // 'browser', 'document', false
+            observe: false, // follow changes of <html lang>
+            timeout: 5000, // milliseconds before loading remote translations is aborted
             translations: {
                 en: {
                     system: 'System',
+                    auto: 'Auto',
                     light: 'Light',
-                    dark: 'Dark'
+                    dark: 'Dark',
+                    label: 'Theme',
+                    current: '{label}: {theme}',
+                    announcement: '{theme} theme enabled',
+                    accent: 'Accent color',
+                    customAccent: 'Custom accent color'
                 }
             }
         },
+        themes: [], // additional theme definitions, see registerTheme()
+        announce: false, // announce theme changes to screen readers through a polite live region
+        transition: false, // true or { duration, easing } to animate theme changes, see _transition()
+        policy: {
+            allowed: null, // theme ids offered in the controls, null for all
+            forced: null, // theme id applied instead of the stored one, disables the controls
+            parameter: null // name of a query or hash parameter overriding the theme, e.g. 'theme' for ?theme=dark
+        },
+        frames: {
+            role: null, // 'parent' sends the theme to embedded iframes, 'child' receives it from the embedding page
+            origins: [], // origins allowed to exchange theme messages, the own origin when empty, '*' for any
+            follow: true // child only: follow the parent and hide the controls, false to report user changes to the parent
+        },
+        schedule: null, // { light: '07:00', dark: '19:00' } or { latitude, longitude }, null hides the 'auto' option
+        dropdown: null, // Bootstrap's Dropdown class when Bootstrap is imported as a module, false for the built-in menu
+        appearance: {
+            themeColor: null, // { light: '#ffffff', dark: '#212529', [themeId]: color } for <meta name="theme-color">
+            colorScheme: false, // set the color-scheme property on the theme target, for palettes with native controls
+            favicon: null, // { light: '/favicon.ico', dark: '/favicon-dark.ico', [themeId]: url }
+            images: true // swap src and srcset of elements with data-src-light, data-src-dark, data-srcset-dark, ...
+        },
+        accent: {
+            picker: false, // show accent color swatches in the dropdown menu
+            colors: ['#0d6efd', '#6610f2', '#d63384', '#dc3545', '#fd7e14', '#198754', '#20c997', '#0dcaf0'], // #rgb or #rrggbb swatches
+            custom: true, // offer an <input type="color"> for any color
+            default: null // accent color used until the user selects one, null for Bootstrap's primary color
+        },
         classes: {
             container: '',
             button: '',
             menu: ''
         },
+        onBeforeChange: null, // function(detail), return false to cancel the change
+        onChange: null, // function(detail)
         storage: {
-            type: 'local', // 'local' or 'session'
+            type: 'local', // 'local', 'session', 'cookie', 'memory', 'none' or a custom adapter { get, set, remove }
+            key: 'useTheme',
             expiration: null, // time in milliseconds as an integer or null for no expiration
+            cookie: {}, // { name, domain, path, sameSite, secure } for the cookie storage
+            migrate: [], // previous keys to move the stored theme from
+            crossTab: true, // apply theme changes made in other tabs and windows
+        },
+        sync: {
+            endpoint: null, // URL loading the preference with GET and saving it with PUT as { value, accent, timestamp }
+            headers: {}, // headers of the endpoint requests, e.g. { Authorization: 'Bearer ...' }
+            load: null, // async function() returning { value, accent, timestamp } or null, instead of the GET request
+            save: null, // async function(entry) saving { value, accent, timestamp }, instead of the PUT request
+            debounce: 1000 // milliseconds without further changes before a change is saved
         }
     };
 
+    /**
+     * Creates a theme toggler and renders its control once the shared theme state is ready.
+     * @param {Object} [options={}] - Optional settings, see _config. Options listed in _INSTANCE_OPTIONS apply to this instance only, the others are shared by all instances.
+     */
+    constructor(options = {}) {
+        const Toggler = BootstrapThemeToggler;
+
+        const settings = Toggler._configure(options);
+
+        this._options = {
+            root: settings.root || Toggler._config.root,
+            prepend: settings.prepend !== undefined ? settings.prepend : Toggler._config.prepend,
+            align: settings.align || Toggler._config.align,
+            ui: settings.ui || Toggler._config.ui,
+            icons: settings.icons || Toggler._config.icons,
+            display: settings.display || Toggler._config.display,
+            classes: { ...Toggler._config.classes, ...settings.classes },
+            target: settings.target || Toggler._config.target,
+            storageKey: settings.storageKey || Toggler._config.storageKey,
+            inherit: settings.inherit !== undefined ? settings.inherit : Toggler._config.inherit
+        };
+        this._scope = null;
+        this._id = Toggler._uuidv4();
+        this._element = null;
+        this._comment = null;
+        this._destroyed = false;
+        this._onClick = event => this._handleClick(event);
+        this._onChange = event => this._handleChange(event);
+        this._onKeydown = event => this._handleKeydown(event);
+        this._onOutsideClick = event => {
+            if (this._element && !this._element.contains(event.target)) {
+                this._toggleMenu(false);
+            }
+        };
+
+        Toggler._instances.push(this);
+
+        /**
+         * Resolves when the control has been rendered.
+         * @type {Promise<void>}
+         */
+        this.ready = this._init();
+    }
+
     /**
      * Helper function which prints console.log/error
      * @param {Object} print - The message to print to the console.
@@ -80,29 +389,128 @@ export default class BootstrapThemeToggler {
     }
 
     /**
-     * Sets a value into storage (localStorage or sessionStorage) with optional expiration.
+     * Returns the storage key of the theme.
+     * @returns {string} - The configured key, 'useTheme' by default.
+     * @static
+     * @private
+     */
+    static _getStorageKey() {
+        return this._config.storage.key || this._LOCAL_STORAGE_KEY;
+    }
+
+    /**
+     * Creates the storage adapter for a storage type.
+     * Falls back to memory when the requested storage is not available, e.g. in Safari private mode.
+     * @param {string|Object} type - 'local', 'session', 'cookie', 'memory', 'none' or a custom adapter.
+     * @returns {Object} - The storage adapter.
+     * @static
+     * @private
+     */
+    static _createStorageAdapter(type) {
+        if (type && typeof type === 'object') {
+            if (['get', 'set', 'remove'].every(method => typeof type[method] === 'function')) {
+                return { shared: true, ...type, type: type.type || 'custom' };
+            }
+            this._debug('Custom storage adapter must implement get, set and remove. Falling back to: memory', null, true);
+            return createMemoryAdapter();
+        }
+
+        switch (type) {
+            case 'cookie':
+                return createCookieAdapter({ ...this._config.storage.cookie, key: this._getStorageKey() }, this._config.storage.expiration);
+
+            case 'memory':
+                return createMemoryAdapter();
+
+            case 'none':
+                return createNoopAdapter();
+
+            case 'local':
+            case 'session':
+                break;
+
+            default:
+                this._debug(`Unknown storage type: ${type}. Falling back to: local`, null, true);
+                type = 'local';
+        }
+
+        try {
+            return createWebStorageAdapter(type);
+        } catch (error) {
+            this._debug(`${type}Storage is not available. Falling back to: memory`, error, true);
+            return createMemoryAdapter();
+        }
+    }
+
+    /**
+     * Returns the storage adapter for the configured storage type.
+     * @returns {Object} - The storage adapter.
+     * @static
+     * @private
+     */
+    static _getStorageAdapter() {
+        if (!this._storageAdapter) {
+            this._storageAdapter = this._createStorageAdapter(this._config.storage.type);
+        }
+        return this._storageAdapter;
+    }
+
+    /**
+     * Parses a stored entry. Besides the current { value, timestamp } JSON format,
+     * plain string values (e.g. 'dark') are accepted so they can be migrated.
+     * @param {string} raw - The stored string.
+     * @returns {Object} - { value, accent, timestamp, legacy }, where legacy marks entries in another format.
+     * @static
+     * @private
+     */
+    static _parseStorageEntry(raw) {
+        try {
+            const data = JSON.parse(raw);
+            if (data && typeof data === 'object' && typeof data.value === 'string') {
+                return { value: data.value, accent: parseColor(data.accent), timestamp: data.timestamp || null, legacy: false };
+            }
+            if (typeof data === 'string') {
+                return { value: data, accent: null, timestamp: null, legacy: true };
+            }
+        } catch {
+            // Not JSON, a plain value
+        }
+
+        return { value: String(raw), accent: null, timestamp: null, legacy: true };
+    }
+
+    /**
+     * Sets a value into storage with optional expiration.
      * @param {string} key - The key for storage.
      * @param {string} value - The value to store.
+     * @param {string|null} [accent=null] - The accent color stored with the theme of the document.
+     * @param {number|null} [timestamp] - Time of the change, e.g. of a value loaded from the server. When omitted,
+     * the current time is stored for expiration and server sync, and the document theme is saved to the server.
      * @returns {void} This method does not return a value.
      * @static
      * @private
      */
-    static _setStorage(key, value) {
-        try {
-            const storageType = this._config.storage.type === 'session' ? sessionStorage : localStorage;
-            const expiration = this._config.storage.expiration;
-            
-            let data = {
-                value,
-                timestamp: expiration ? Date.now() : null
-            };
+    static _setStorage(key, value, accent = null, timestamp = undefined) {
+        const expiration = this._config.storage.expiration;
+        const time = timestamp !== undefined ? timestamp : expiration || this._isSyncEnabled() ? Date.now() : null;
+        
+        // Store data as plain JSON without encryption
+        const data = JSON.stringify({
+            value,
+            ...(accent ? { accent } : {}),
+            timestamp: time
+        });
 
-            // Store data as plain JSON without encryption
-            data = JSON.stringify(data);
-            
-            storageType.setItem(key, data);
+        try {
+            this._getStorageAdapter().set(key, data);
         } catch (error) {
-            this._debug('Error while storing value in storage', error, true);
+            this._debug('Error while storing value in storage. Falling back to: memory', error, true);
+            this._storageAdapter = createMemoryAdapter();
+            this._storageAdapter.set(key, data);
+        }
+
+        if (timestamp === undefined && key === this._getStorageKey()) {
+            this._scheduleSave({ value, accent, timestamp: time });
         }
     }
 
@@ -114,23 +522,41 @@ export default class BootstrapThemeToggler {
      * @private
      */
     static _getStorage(key) {
+        const entry = this._getStorageEntry(key);
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Retrieves a stored entry and checks its expiration.
+     * @param {string} key - The key to retrieve.
+     * @returns {Object|null} - { value, accent, timestamp } or null if not found or expired.
+     * @static
+     * @private
+     */
+    static _getStorageEntry(key) {
         try {
-            const storageType = this._config.storage.type === 'session' ? sessionStorage : localStorage;
+            const adapter = this._getStorageAdapter();
             const expiration = this._config.storage.expiration;
             
-            let data = storageType.getItem(key);
-            if (!data) return null;
+            const raw = adapter.get(key);
+            if (!raw) return null;
             
-            data = JSON.parse(data);
+            const data = this._parseStorageEntry(raw);
 
             // Check expiration
-            if (expiration && Date.now() - data.timestamp > expiration) {
-                storageType.removeItem(key);
+            if (expiration && data.timestamp && Date.now() - data.timestamp > expiration) {
+                adapter.remove(key);
                 this._debug(`Item ${key} has expired.`);
                 return null;
             }
 
-            return data.value;
+            // Migrated values keep an unknown time of change, so they are not saved to the server and a server value wins
+            if (data.legacy) {
+                this._debug(`Migrating item ${key} to the current format.`);
+                this._setStorage(key, data.value, null, null);
+            }
+
+            return { value: data.value, accent: data.accent, timestamp: data.timestamp };
         } catch (error) {
             this._debug('Error retrieving value from storage', error, true);
             return null;
@@ -138,245 +564,2926 @@ export default class BootstrapThemeToggler {
     }
 
     /**
-     * Creates an HTMLElement.
-     * @param {string} type - The type of HTML element to create.
-     * @returns {HTMLElement|null} - The created HTML element of the specified type.
+     * Removes a value from storage.
+     * @param {string} key - The key to remove.
+     * @returns {void} This method does not return a value.
      * @static
      * @private
      */
-    static _createNode(type) {
+    static _removeStorage(key) {
         try {
-            const el = document.createElement(type);
-            if (type === 'button') {
-                el.setAttribute('type', 'button');
-            }
-            return el;
+            this._getStorageAdapter().remove(key);
         } catch (error) {
-            this._debug('Failed to create HTML element', error, true);
-            return null;
+            this._debug('Error removing value from storage', error, true);
         }
     }
 
     /**
-     * Creates a menu item.
-     * @param {string} value - The value associated with the menu item.
-     * @param {string} text - The text displayed for the menu item.
-     * @param {string} [item] - Optional class to add to the <li> element.
-     * @param {string} [link] - Optional class to add to the <a> link element.
-     * @returns {HTMLElement} - The created <li> element with a corresponding <a> link.
+     * Whether the preference is synced with a server, see the sync option.
+     * @returns {boolean} - Whether an endpoint or load/save functions are configured.
      * @static
      * @private
      */
-    static _createMenuItem(value, text, item = '', link = '') {
-        const li = this._createNode('li');
-        const a = this._createNode('a');
-        
-        if (item) {
-            li.className = item.trim();
+    static _isSyncEnabled() {
+        const { endpoint, load, save } = this._config.sync;
+        return !!endpoint || typeof load === 'function' || typeof save === 'function';
+    }
+
+    /**
+     * Returns the functions loading and saving the preference on the server: the configured ones,
+     * or requests to the configured endpoint.
+     * @returns {Object} - { load, save }, either may be null.
+     * @static
+     * @private
+     */
+    static _getSyncHandlers() {
+        const { endpoint, headers, load, save } = this._config.sync;
+
+        if (typeof load === 'function' || typeof save === 'function') {
+            return {
+                load: typeof load === 'function' ? load : null,
+                save: typeof save === 'function' ? save : null
+            };
         }
 
-        a.className = link.trim();
-        a.href = '#!';
-        a.setAttribute('data-value', value);
+        if (!endpoint) return { load: null, save: null };
 
-        a.append(text);
-        li.appendChild(a);
-        
-        return li;
+        return {
+            load: async () => {
+                const response = await fetch(endpoint, { headers, credentials: 'same-origin' });
+                if (response.status === 204 || response.status === 404) return null;
+                if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+                return response.json();
+            },
+            save: async entry => {
+                const response = await fetch(endpoint, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    credentials: 'same-origin',
+                    keepalive: true,
+                    body: JSON.stringify(entry)
+                });
+                if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+            }
+        };
     }
 
     /**
-     * Creates a theme toggle dropdown and appends it to the given root element.
-     * @param {HTMLElement} root - The root element to append the dropdown to.
+     * Saves an entry to the server once no further change was made for the debounce time.
+     * Only the latest entry is kept, as the server keeps the latest change anyway.
+     * @param {Object} entry - { value, accent, timestamp }, value null for a removed preference.
      * @returns {void} This method does not return a value.
      * @static
      * @private
      */
-    static _createElement(root) {
+    static _scheduleSave(entry) {
+        if (!this._isSyncEnabled()) return;
+
+        const sync = this._serverSync;
+        sync.pending = { value: entry.value, accent: entry.accent || null, timestamp: entry.timestamp };
+
+        clearTimeout(sync.timer);
+        sync.timer = setTimeout(() => this._saveRemote(), this._config.sync.debounce || 0);
+    }
+
+    /**
+     * Saves the pending entry to the server. Failed saves are kept and retried with an increasing delay,
+     * or when the browser is back online.
+     * @returns {Promise<void>} This method does not return a value but returns a promise.
+     * @static
+     * @private
+     */
+    static async _saveRemote() {
+        const sync = this._serverSync;
+        const entry = sync.pending;
+        const { save } = this._getSyncHandlers();
+
+        sync.timer = null;
+        if (!entry || !save) return;
+
+        if (navigator.onLine === false) {
+            this._debug('Offline. The theme is saved to the server once online.');
+            this._retryOnline();
+            return;
+        }
+
         try {
-            this._debug("Creating element..");
-            
-            this._id = this._uuidv4();
-            this._debug(`Generated ID: ${this._id}`);
-            
-            if (root.querySelector(`#${this._ELEMENT_ID}`)) {
-                this._debug("Element already exists in the root. Skipping creation..");
-                return;
-            }
-        
-            const dropdown = this._createNode('div');
-            const dropdownClass = `dropdown ${this._config.classes.container || ''}`.trim();
-            dropdown.className = dropdownClass;
-            dropdown.id = this._ELEMENT_ID;
-            if (this._config.classes.container) {
-                this._debug(`Added custom class: '${this._config.classes.container}' to the dropdown container.`);
-            }
-            
-            const button = this._createNode('button');
-            const buttonClass = `dropdown-toggle btn border-0 ${this._config.classes.button || ''}`.trim();
-            button.className = buttonClass;
-            button.setAttribute('data-bs-toggle', 'dropdown');
-            button.setAttribute('aria-expanded', 'false');
-            if (this._config.classes.button) {
-                this._debug(`Added custom class: '${this._config.classes.button}' to the button.`);
-            }
-            
-            const buttonIcon = this._createNode('i');
-            buttonIcon.className = 'bi bi-circle-half';
-            button.appendChild(buttonIcon);
-            
-            button.append(' ' + (this._config.i18n.system || 'System')); 
-            
-            const dropdownMenu = this._createNode('ul');
-            const dropdownMenuClass = `dropdown-menu ${this._config.classes.menu || ''}`.trim();
-            dropdownMenu.className = dropdownMenuClass;
-            if (this._config.classes.menu) {
-                this._debug(`Added custom class: '${this._config.classes.menu}' to the dropdown menu.`);
+            await save({ ...entry });
+            if (sync !== this._serverSync) return;
+
+            sync.attempts = 0;
+            if (sync.pending === entry) {
+                sync.pending = null;
             }
-            
-            dropdownMenu.appendChild(this._createMenuItem('system', this._config.i18n.system || 'System', '', 'dropdown-item'));
-            dropdownMenu.appendChild(this._createMenuItem('light', this._config.i18n.light || 'Light', '', 'dropdown-item'));
-            dropdownMenu.appendChild(this._createMenuItem('dark', this._config.i18n.dark || 'Dark', '', 'dropdown-item'));
-            
-            dropdown.appendChild(button);
-            dropdown.appendChild(dropdownMenu);
-            
-            if (this._config.prepend) {
-                root.insertAdjacentElement('afterbegin', dropdown); 
-                this._debug("Prepended element to the root.");
-            } else {
-                root.appendChild(dropdown); 
-                this._debug("Appended element to the root.");
+            this._debug(`Theme ${entry.value} saved to the server.`);
+        } catch (error) {
+            if (sync !== this._serverSync) return;
+
+            if (navigator.onLine === false) {
+                this._debug('Failed to save the theme to the server. Retrying once online.', error, true);
+                this._retryOnline();
+                return;
             }
 
-            const comment = document.createComment('BootstrapThemeToggler v1.1.1 | https://jindrichrucil.github.io');
-            root.insertBefore(comment, root.firstChild);
+            const delay = Math.min(this._SYNC_RETRY_DELAY * 2 ** sync.attempts, this._SYNC_RETRY_MAX);
+            sync.attempts += 1;
+            this._debug(`Failed to save the theme to the server. Retrying in ${delay / 1000} seconds.`, error, true);
 
-        } catch (error) {
-            this._debug('Error creating dropdown element', error, true);
+            // A change made in the meantime is saved with its own timer
+            if (!sync.timer) {
+                sync.timer = setTimeout(() => this._saveRemote(), delay);
+            }
         }
-    }    
+    }
 
     /**
-     * Applies the selected theme settings and updates the UI accordingly.
-     * @param {string} key - The key for localStorage or sessionStorage.
-     * @param {string} theme - The theme name.
-     * @param {string} icon - The icon class for the theme.
-     * @param {string} text - The display text for the theme.
+     * Saves the pending entry again when the browser goes back online.
      * @returns {void} This method does not return a value.
      * @static
      * @private
      */
-    static _applyThemeSettings(key, theme, icon, text) {
-        try {
-            document.documentElement.setAttribute("data-bs-theme", theme);
-    
-            const toggler = document.getElementById(this._ELEMENT_ID);
-            if (!toggler) throw new Error('Element with the specified ID not found.');
-            
-            const button = toggler.querySelector(".dropdown-toggle");
-            if (!button) throw new Error('Dropdown toggle button not found.');
-    
-            button.innerHTML = `<i class="${icon}"></i> ${text}`;
-            
-            this._debug(`Theme ${theme} applied.`);
+    static _retryOnline() {
+        if (this._serverSync.online) return;
 
-            this._setStorage(this._LOCAL_STORAGE_KEY, key);
-        } catch (error) {
-            this._debug('Failed to apply theme settings', error, true);
-        }
+        const online = () => {
+            window.removeEventListener('online', online);
+            this._serverSync.online = null;
+            this._saveRemote();
+        };
+        window.addEventListener('online', online);
+        this._serverSync.online = online;
     }
 
     /**
-     * Updates the theme based on the provided value and saves it to storage.
-     * @param {string} theme - The theme value.
+     * Stops the server sync. A pending entry is not lost, as a newer local entry is saved on the next load.
      * @returns {void} This method does not return a value.
      * @static
      * @private
      */
-    static _updateTheme(theme) {
+    static _stopSync() {
+        const { timer, online } = this._serverSync;
+
+        clearTimeout(timer);
+        if (online) {
+            window.removeEventListener('online', online);
+        }
+
+        this._serverSync = { timer: null, pending: null, attempts: 0, online: null };
+    }
+
+    /**
+     * Loads the preference from the server and merges it with the stored one: the later change wins.
+     * A newer server value is applied and stored with its timestamp, a newer local value is saved to the server.
+     * Runs in the background, the stored theme is applied without waiting for it.
+     * @returns {Promise<void>} This method does not return a value but returns a promise.
+     * @static
+     * @private
+     */
+    static async _loadRemote() {
+        const { load } = this._getSyncHandlers();
+        if (!load) return;
+
+        let remote;
         try {
-            this._debug(`Updating theme to: ${theme}`);
-            
-            const toggler = document.getElementById(this._ELEMENT_ID);
+            remote = await load();
+        } catch (error) {
+            this._debug('Failed to load the theme from the server', error, true);
+            return;
+        }
+
+        try {
+            const scope = this._globalScope;
+            const key = this._getStorageKey();
+            if (!scope.restored) return;
+
+            const local = this._getStorageEntry(key);
+            const localTime = (local && local.timestamp) || 0;
+            const remoteTime = (remote && Number(remote.timestamp)) || 0;
+
+            if (localTime > remoteTime) {
+                this._scheduleSave(local);
+                return;
+            }
+            if (remoteTime === localTime) return;
+
+            const value = remote.value === null ? null : String(remote.value);
+            if (value !== null && !this._getTheme(value)) {
+                this._debug(`Theme ${value} from the server is not registered.`, null, true);
+                return;
+            }
+
+            this._debug(`Theme ${value} from the server is newer than the stored one.`);
+            this._updateAccent(value === null ? null : parseColor(remote.accent), { persist: false, broadcast: false, source: 'sync' });
+
+            // A removed preference falls back like reset(), a theme set by the policy is kept
+            const theme = value !== null && this._isAllowed(value) ? value : this._getFallbackTheme();
+            if (!this._getPolicyTheme(scope)) {
+                this._updateTheme(theme, { persist: false, broadcast: false, source: 'sync' });
+            }
+
+            if (value === null) {
+                this._removeStorage(key);
+            } else {
+                this._setStorage(key, value, scope.accent, remoteTime);
+            }
+            this._broadcastTheme(value, scope);
+        } catch (error) {
+            this._debug('Error applying the theme from the server', error, true);
+        }
+    }
+
+    /**
+     * Moves a theme stored under a previous key to the current key of the configured storage.
+     * Checks 'useTheme' when another storage.key is configured and the keys listed in storage.migrate.
+     * Other storages are left untouched, and memory, none and custom adapters have nothing to migrate.
+     * @returns {string|null} - The migrated value or null if nothing was found.
+     * @static
+     * @private
+     */
+    static _migrateStorage() {
+        const { type, migrate } = this._config.storage;
+        if (!['local', 'session', 'cookie'].includes(type)) return null;
+
+        const key = this._getStorageKey();
+        const adapter = this._getStorageAdapter();
+        const keys = [...new Set([this._LOCAL_STORAGE_KEY, ...(migrate || [])])].filter(legacyKey => legacyKey !== key);
+
+        for (const legacyKey of keys) {
+            let raw;
+            try {
+                raw = adapter.get(legacyKey);
+            } catch (error) {
+                this._debug(`Failed to read storage key ${legacyKey}`, error, true);
+                continue;
+            }
+            if (!raw) continue;
+
+            const { value } = this._parseStorageEntry(raw);
+            this._removeStorage(legacyKey);
+
+            if (this._getTheme(value)) {
+                this._debug(`Migrated theme ${value} from storage key ${legacyKey}.`);
+                this._setStorage(key, value, null, null);
+                return value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates an HTMLElement.
+     * @param {string} type - The type of HTML element to create.
+     * @returns {HTMLElement|null} - The created HTML element of the specified type.
+     * @static
+     * @private
+     */
+    static _createNode(type) {
+        try {
+            const el = document.createElement(type);
+            if (type === 'button') {
+                el.setAttribute('type', 'button');
+            }
+            return el;
+        } catch (error) {
+            this._debug('Failed to create HTML element', error, true);
+            return null;
+        }
+    }
+
+    /**
+     * Resolves the icon of a theme from the icons option.
+     * @param {Object} theme - The theme definition.
+     * @param {string|Object} icons - A preset name or { preset, [themeId]: icon }.
+     * @returns {string|Node|null} - A class string, an SVG string, a node or null for no icon.
+     * @static
+     * @private
+     */
+    static _resolveIcon(theme, icons) {
+        const overrides = icons && typeof icons === 'object' ? icons : {};
+        const presetName = typeof icons === 'string' ? icons : overrides.preset || 'bootstrap-icons';
+
+        if (!Object.prototype.hasOwnProperty.call(ICON_PRESETS, presetName)) {
+            this._debug(`Unknown icon preset: ${presetName}. Falling back to: bootstrap-icons`, null, true);
+        }
+
+        const preset = ICON_PRESETS[presetName] === undefined ? {} : ICON_PRESETS[presetName];
+        let icon = overrides[theme.id];
+
+        if (icon === undefined) {
+            icon = preset === null ? null : preset[theme.id] || theme.icon;
+        }
+
+        if (typeof icon === 'function') {
+            try {
+                icon = icon(theme);
+            } catch (error) {
+                this._debug(`Error rendering icon of theme ${theme.id}`, error, true);
+                icon = null;
+            }
+        }
+
+        return icon || null;
+    }
+
+    /**
+     * Creates an icon element, hidden from screen readers.
+     * @param {string|Node|null} icon - A class string, an SVG string or a node.
+     * @returns {Element|null} - The icon element or null for no icon.
+     * @static
+     * @private
+     */
+    static _createIcon(icon) {
+        if (!icon) return null;
+
+        let el;
+        if (typeof Node !== 'undefined' && icon instanceof Node) {
+            el = icon.cloneNode(true);
+        } else if (/^\s*</.test(icon)) {
+            const template = this._createNode('template');
+            template.innerHTML = icon.trim();
+            el = template.content.firstElementChild;
+            if (!el) return null;
+            if (el.tagName.toLowerCase() === 'svg') {
+                el.setAttribute('focusable', 'false');
+            }
+        } else {
+            el = this._createNode('i');
+            el.className = icon;
+        }
+
+        if (el.setAttribute) {
+            el.setAttribute('aria-hidden', 'true');
+        }
+        return el;
+    }
+
+    /**
+     * Creates the content of a button for a theme: icon, text or both.
+     * Falls back to the text when there is no icon to show.
+     * @param {Object} theme - The theme definition.
+     * @param {string|Object} icons - See _resolveIcon().
+     * @param {string} display - 'icon', 'text' or 'both'.
+     * @returns {Array<Node|string>} - The nodes to insert.
+     * @static
+     * @private
+     */
+    static _createContent(theme, icons, display) {
+        const icon = display === 'text' ? null : this._createIcon(this._resolveIcon(theme, icons));
+        const text = this._getThemeText(theme);
+
+        if (!icon) return [text];
+        if (display === 'icon') return [icon];
+        return [icon, ` ${text}`];
+    }
+
+    /**
+     * Creates a menu item.
+     * @param {string} value - The value associated with the menu item.
+     * @param {string} text - The text displayed for the menu item.
+     * @param {string} [item] - Optional class to add to the <li> element.
+     * @param {string} [button] - Optional class to add to the <button> element.
+     * @returns {HTMLElement} - The created <li> element with a corresponding menuitemradio <button>.
+     * @static
+     * @private
+     */
+    static _createMenuItem(value, text, item = '', button = '') {
+        const li = this._createNode('li');
+        const el = this._createNode('button');
+        
+        if (item) {
+            li.className = item.trim();
+        }
+        li.setAttribute('role', 'none');
+
+        el.className = button.trim();
+        el.setAttribute('role', 'menuitemradio');
+        el.setAttribute('aria-checked', 'false');
+        el.setAttribute('data-value', value);
+
+        el.append(text);
+        li.appendChild(el);
+        
+        return li;
+    }
+
+    /**
+     * Returns a translation of the active language, falling back to English.
+     * @param {string} key - The translation key.
+     * @param {Object} [params={}] - Values replacing {placeholders}.
+     * @returns {string} - The translated text.
+     * @static
+     * @private
+     */
+    static _translate(key, params = {}, translations = this._translations) {
+        const fallback = ((this._config.i18n.translations || {}).en || {})[key];
+        const text = typeof translations[key] === 'string' ? translations[key] : fallback || key;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Announces a message to screen readers through a polite live region.
+     * @param {string} message - The message to announce.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _announce(message) {
+        try {
+            if (!this._liveRegion) {
+                this._liveRegion = this._createNode('div');
+                this._liveRegion.className = 'visually-hidden';
+                this._liveRegion.setAttribute('role', 'status');
+                this._liveRegion.setAttribute('aria-live', 'polite');
+                this._liveRegion.setAttribute('aria-atomic', 'true');
+                document.body.appendChild(this._liveRegion);
+            }
+
+            // Clear first, so the same message is announced again
+            const region = this._liveRegion;
+            region.textContent = '';
+            setTimeout(() => {
+                region.textContent = message;
+            }, 100);
+        } catch (error) {
+            this._debug('Failed to announce theme change', error, true);
+        }
+    }
+
+    /**
+     * Returns Bootstrap's Dropdown class: the configured one, or window.bootstrap.Dropdown of the bundle.
+     * @returns {Function|null} - The Dropdown class, or null to use the built-in menu.
+     * @static
+     * @private
+     */
+    static _getDropdownClass() {
+        const { dropdown } = this._config;
+        if (dropdown === false) return null;
+        if (typeof dropdown === 'function') return dropdown;
+
+        return typeof window.bootstrap !== 'undefined' && typeof window.bootstrap.Dropdown === 'function' ? window.bootstrap.Dropdown : null;
+    }
+
+    /**
+     * Checks whether Bootstrap's Dropdown JavaScript is loaded.
+     * @returns {boolean} - True if bootstrap.Dropdown is available.
+     * @static
+     * @private
+     */
+    static _hasBootstrapDropdown() {
+        return this._getDropdownClass() !== null;
+    }
+
+    /**
+     * Normalizes a theme definition and validates its required fields.
+     * @param {Object} definition - The theme definition.
+     * @returns {Object|null} - The normalized theme or null if the definition is invalid.
+     * @static
+     * @private
+     */
+    static _normalizeTheme(definition) {
+        if (!definition || typeof definition.id !== 'string' || !/^[a-z0-9_-]+$/i.test(definition.id)) {
+            this._debug('Theme definition requires an id containing only letters, digits, "-" or "_".', definition, true);
+            return null;
+        }
+
+        const base = definition.base || 'light';
+        if (base !== 'light' && base !== 'dark') {
+            this._debug(`Theme ${definition.id} has an invalid base: ${base}. Expected 'light' or 'dark'.`, null, true);
+            return null;
+        }
+
+        return {
+            id: definition.id,
+            label: definition.label || definition.id,
+            text: definition.text || definition.id,
+            icon: definition.icon || '',
+            base,
+            palette: definition.palette && Object.keys(definition.palette).length ? { ...definition.palette } : null
+        };
+    }
+
+    /**
+     * Returns the registered themes available with the current configuration.
+     * @returns {Array<Object>} - The theme definitions ('auto' is only available with a schedule).
+     * @static
+     * @private
+     */
+    static _getAvailableThemes() {
+        return this._themes.filter(theme => theme.base !== 'schedule' || this._config.schedule);
+    }
+
+    /**
+     * Returns the themes offered in the controls, i.e. the available themes allowed by the policy.
+     * @returns {Array<Object>} - The theme definitions.
+     * @static
+     * @private
+     */
+    static _getThemes() {
+        return this._getAvailableThemes().filter(theme => this._isAllowed(theme.id));
+    }
+
+    /**
+     * Returns an available theme definition.
+     * @param {string} id - The theme id.
+     * @returns {Object|undefined} - The theme definition or undefined if not available.
+     * @static
+     * @private
+     */
+    static _getTheme(id) {
+        return this._getAvailableThemes().find(theme => theme.id === id);
+    }
+
+    /**
+     * Whether the policy allows selecting a theme.
+     * @param {string} id - The theme id.
+     * @returns {boolean} - False if the theme is not in policy.allowed.
+     * @static
+     * @private
+     */
+    static _isAllowed(id) {
+        const { allowed } = this._config.policy;
+        return !allowed || allowed.includes(id);
+    }
+
+    /**
+     * Returns the theme used when the stored one is not allowed: 'system' if allowed, otherwise the first allowed theme.
+     * @returns {string} - The theme id.
+     * @static
+     * @private
+     */
+    static _getFallbackTheme() {
+        const { allowed } = this._config.policy;
+        if (!allowed || allowed.includes('system')) return 'system';
+        return allowed.find(id => this._getTheme(id)) || 'system';
+    }
+
+    /**
+     * Returns the theme the policy sets for a scope: the forced theme or, for the document, the theme of the URL parameter.
+     * @param {Object} scope - The theme scope.
+     * @returns {string|null} - The theme id or null if the policy does not set one.
+     * @static
+     * @private
+     */
+    static _getPolicyTheme(scope) {
+        const { forced, parameter } = this._config.policy;
+
+        if (forced) {
+            if (this._getTheme(forced)) return forced;
+            this._debug(`Forced theme ${forced} is not registered.`, null, true);
+        }
+
+        if (!parameter || scope !== this._globalScope) return null;
+
+        try {
+            const value = new URLSearchParams(window.location.search).get(parameter)
+                || new URLSearchParams(window.location.hash.slice(1)).get(parameter);
+            if (!value) return null;
+
+            if (this._getTheme(value) && this._isAllowed(value)) return value;
+            this._debug(`Theme ${value} of the URL parameter ${parameter} is not available.`, null, true);
+        } catch (error) {
+            this._debug('Failed to read the URL parameter', error, true);
+        }
+
+        return null;
+    }
+
+    /**
+     * Applies a changed policy to the restored scopes: the forced theme, the stored preference when a theme is no longer
+     * forced, or the fallback for themes that are no longer allowed.
+     * @param {Object} previous - The previous policy.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _enforcePolicy(previous) {
+        const { forced } = this._config.policy;
+
+        [this._globalScope, ...this._scopes].filter(scope => scope.restored).forEach(scope => {
+            let theme = forced && this._getTheme(forced) ? forced : null;
+
+            if (!theme && (previous.forced || (scope.theme !== null && !this._isAllowed(scope.theme)))) {
+                const key = this._getScopeKey(scope);
+                const stored = key ? this._getStorage(key) : null;
+
+                if (stored !== null && this._getTheme(stored) && this._isAllowed(stored)) {
+                    theme = stored;
+                } else if (scope.inherit) {
+                    this._inheritTheme(scope, 'policy');
+                    return;
+                } else {
+                    theme = this._getFallbackTheme();
+                }
+            }
+
+            if (theme && theme !== scope.theme) {
+                this._updateTheme(theme, { scope, persist: false, broadcast: false, source: 'policy' });
+            }
+        });
+
+        this._instances.forEach(instance => instance._rerender());
+    }
+
+    /**
+     * Returns the theme following the current one in the menu order, wrapping around.
+     * @param {Object} [scope] - The theme scope, the document element by default.
+     * @returns {Object} - The theme definition.
+     * @static
+     * @private
+     */
+    static _getNextTheme(scope = this._globalScope) {
+        const themes = this._getThemes();
+        const current = this._getScopeState(scope).theme;
+        const index = themes.findIndex(theme => theme.id === current);
+        return themes[(index + 1) % themes.length];
+    }
+
+    /**
+     * Returns the translated label of a theme.
+     * @param {Object} theme - The theme definition.
+     * @returns {string} - The translated label, or the theme's default text.
+     * @static
+     * @private
+     */
+    static _getThemeText(theme, translations = this._translations || {}) {
+        return typeof translations[theme.label] === 'string' ? translations[theme.label] : theme.text;
+    }
+
+    /**
+     * Resolves a theme to the light or dark value it is based on.
+     * @param {Object} theme - The theme definition.
+     * @returns {string} - Either 'light' or 'dark'.
+     * @static
+     * @private
+     */
+    static _resolveTheme(theme) {
+        if (theme.base === 'system') {
+            const prefersDark = window.matchMedia(this._DARK_QUERY).matches;
+            this._debug(`Detected system preference: ${prefersDark ? 'dark' : 'light'}`);
+            return prefersDark ? 'dark' : 'light';
+        }
+
+        if (theme.base === 'schedule') {
+            const scheduled = this._resolveSchedule(new Date());
+            this._debug(`Detected scheduled theme: ${scheduled}`);
+            return scheduled;
+        }
+
+        return theme.base;
+    }
+
+    /**
+     * Sets data-bs-theme to the resolved light/dark value of a theme and the palette attribute to the id of a theme
+     * with a palette, so the palette only overrides the variables it defines on top of Bootstrap's light or dark theme.
+     * @param {HTMLElement} target - The element receiving the attributes.
+     * @param {Object|null} theme - The theme definition, or null to remove the attributes.
+     * @param {string} [resolved] - The resolved light/dark value, resolved from the theme when omitted.
+     * @returns {boolean} - Whether an attribute changed.
+     * @static
+     * @private
+     */
+    static _setThemeAttributes(target, theme, resolved = theme && this._resolveTheme(theme)) {
+        const attributes = {
+            'data-bs-theme': theme ? resolved : null,
+            [this._PALETTE_ATTRIBUTE]: theme && theme.palette ? theme.id : null
+        };
+
+        return Object.entries(attributes).reduce((changed, [name, value]) => {
+            if (target.getAttribute(name) === value) return changed;
+
+            if (value === null) {
+                target.removeAttribute(name);
+            } else {
+                target.setAttribute(name, value);
+            }
+            return true;
+        }, false);
+    }
+
+    /**
+     * Converts a 'HH:MM' string to minutes since midnight.
+     * @param {string} time - The time string.
+     * @returns {number|null} - Minutes since midnight or null if the format is invalid.
+     * @static
+     * @private
+     */
+    static _parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+        if (!match || +match[1] > 23 || +match[2] > 59) {
+            this._debug(`Invalid schedule time: ${time}. Expected 'HH:MM'.`, null, true);
+            return null;
+        }
+        return +match[1] * 60 + +match[2];
+    }
+
+    /**
+     * Calculates sunrise and sunset for a date and location (NOAA sunrise equation).
+     * @param {Date} date - The day to calculate for.
+     * @param {number} latitude - Latitude in degrees, north positive.
+     * @param {number} longitude - Longitude in degrees, east positive.
+     * @returns {Object} - { sunrise: Date, sunset: Date }, or { polar: 'day'|'night' } when the sun does not rise or set.
+     * @static
+     * @private
+     */
+    static _getSunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+        const days = Math.round(noon.getTime() / 86400000 + 2440587.5 - 2451545.0 + 0.0008);
+
+        const meanSolarTime = days - longitude / 360;
+        const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+        const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+        const ecliptic = (anomaly + center + 180 + 102.9372) % 360;
+        const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * ecliptic * rad);
+
+        const declination = Math.asin(Math.sin(ecliptic * rad) * Math.sin(23.4397 * rad));
+        const hourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination))
+            / (Math.cos(latitude * rad) * Math.cos(declination));
+
+        if (hourAngle < -1) return { polar: 'day' };
+        if (hourAngle > 1) return { polar: 'night' };
+
+        const offset = Math.acos(hourAngle) / rad / 360;
+        const toDate = julian => new Date((julian - 2440587.5) * 86400000);
+
+        return {
+            sunrise: toDate(transit - offset),
+            sunset: toDate(transit + offset)
+        };
+    }
+
+    /**
+     * Resolves the scheduled theme for the given moment.
+     * @param {Date} now - The moment to resolve.
+     * @returns {string} - Either 'light' or 'dark'.
+     * @static
+     * @private
+     */
+    static _resolveSchedule(now) {
+        const schedule = this._config.schedule || {};
+        const { latitude, longitude } = schedule;
+
+        if (typeof latitude === 'number' && typeof longitude === 'number') {
+            const sun = this._getSunTimes(now, latitude, longitude);
+            if (sun.polar) {
+                return sun.polar === 'day' ? 'light' : 'dark';
+            }
+            return now >= sun.sunrise && now < sun.sunset ? 'light' : 'dark';
+        }
+
+        const light = this._parseTime(schedule.light || '07:00');
+        const dark = this._parseTime(schedule.dark || '19:00');
+        if (light === null || dark === null) return 'light';
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const isLight = light <= dark
+            ? minutes >= light && minutes < dark
+            : minutes >= light || minutes < dark;
+
+        return isLight ? 'light' : 'dark';
+    }
+
+    /**
+     * Subscribes to the system preference and the schedule while a scope uses a dynamic theme, and unsubscribes otherwise.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _updateWatchers() {
+        const bases = [this._globalScope, ...this._scopes]
+            .map(scope => this._getTheme(scope.theme))
+            .filter(Boolean)
+            .map(theme => theme.base);
+
+        const { query, timer } = this._watchers;
+
+        if (bases.includes('system') && !query && window.matchMedia) {
+            const query = window.matchMedia(this._DARK_QUERY);
+            const listener = () => this._refreshTheme();
+
+            if (query.addEventListener) {
+                query.addEventListener('change', listener);
+            } else {
+                query.addListener(listener);
+            }
+
+            this._watchers.query = query;
+            this._watchers.listener = listener;
+            this._debug('Watching system preference changes.');
+        } else if (!bases.includes('system') && query) {
+            this._unwatchTheme('query');
+        }
+
+        if (bases.includes('schedule') && !timer) {
+            const interval = (this._config.schedule && this._config.schedule.interval) || 60000;
+            this._watchers.timer = setInterval(() => this._refreshTheme(), interval);
+            this._debug(`Re-evaluating schedule every ${interval} ms.`);
+        } else if (!bases.includes('schedule') && timer) {
+            this._unwatchTheme('timer');
+        }
+    }
+
+    /**
+     * Removes the listeners added by _updateWatchers().
+     * @param {string} [which] - 'query' or 'timer', both when omitted.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _unwatchTheme(which) {
+        const { query, listener, timer } = this._watchers;
+
+        if (query && listener && which !== 'timer') {
+            if (query.removeEventListener) {
+                query.removeEventListener('change', listener);
+            } else {
+                query.removeListener(listener);
+            }
+            this._watchers.query = null;
+            this._watchers.listener = null;
+        }
+
+        if (timer && which !== 'query') {
+            clearInterval(timer);
+            this._watchers.timer = null;
+        }
+    }
+
+    /**
+     * Re-resolves the themes of all scopes and updates data-bs-theme where the resolved value changed.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _refreshTheme() {
+        [this._globalScope, ...this._scopes].forEach(scope => {
+            try {
+                const theme = this._getTheme(scope.theme);
+                if (!theme) return;
+
+                const target = this._getScopeTarget(scope);
+                const resolved = this._resolveTheme(theme);
+                const previousResolved = scope.resolved;
+                if (this._setThemeAttributes(target, theme, resolved)) {
+                    scope.resolved = resolved;
+                    this._debug(`Theme ${resolved} applied after ${theme.id} changed.`);
+
+                    this._applyAppearance(scope);
+                    this._instances.forEach(instance => instance._sync());
+                    this._notifyChange({
+                        theme: theme.id,
+                        resolved,
+                        previousTheme: theme.id,
+                        previousResolved,
+                        source: theme.base,
+                        target
+                    }, scope);
+                }
+            } catch (error) {
+                this._debug('Error refreshing theme', error, true);
+            }
+        });
+    }
+
+    /**
+     * Builds the CSS rule for a theme palette.
+     * @param {Object} theme - The theme definition.
+     * @returns {string} - The CSS rule scoped to the theme's palette attribute.
+     * @static
+     * @private
+     */
+    static _createPaletteCss(theme) {
+        const declarations = Object.entries(theme.palette)
+            .filter(([name, value]) => {
+                if (/[;{}<>]/.test(`${name}${value}`)) {
+                    this._debug(`Skipped unsafe palette entry '${name}' of theme ${theme.id}.`, null, true);
+                    return false;
+                }
+                return true;
+            })
+            .map(([name, value]) => {
+                const property = name.startsWith('--') ? name : `--bs-${name.replace(/^bs-/, '')}`;
+                return `    ${property}: ${value};`;
+            });
+
+        // Both attributes outweigh Bootstrap's [data-bs-theme] rules, wherever the stylesheet is loaded
+        return `[data-bs-theme][${this._PALETTE_ATTRIBUTE}="${theme.id}"] {\n    color-scheme: ${theme.base};\n${declarations.join('\n')}\n}`;
+    }
+
+    /**
+     * Injects (or replaces) the stylesheet generated from a theme palette.
+     * @param {Object} theme - The theme definition.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _injectPalette(theme) {
+        if (typeof document === 'undefined') return;
+
+        try {
+            const existing = document.head.querySelector(`style[${this._STYLE_ATTRIBUTE}="${theme.id}"]`);
+            if (existing) {
+                existing.remove();
+            }
+
+            if (!theme.palette) return;
+
+            const style = this._createNode('style');
+            style.setAttribute(this._STYLE_ATTRIBUTE, theme.id);
+            style.textContent = this._createPaletteCss(theme);
+            document.head.appendChild(style);
+
+            this._debug(`Injected palette for theme: ${theme.id}`);
+        } catch (error) {
+            this._debug('Failed to inject theme palette', error, true);
+        }
+    }
+
+    /**
+     * Returns the accent color of the page.
+     * @returns {string|null} - The stored accent, the configured default or null for Bootstrap's primary color.
+     * @static
+     * @private
+     */
+    static _getAccent() {
+        return this._globalScope.accent || parseColor(this._config.accent.default);
+    }
+
+    /**
+     * Returns the selectors of elements with a light or dark theme, including the themes with a palette.
+     * @returns {Object} - { light, dark } lists of selectors.
+     * @static
+     * @private
+     */
+    static _getAccentSelectors() {
+        const palettes = base => this._themes
+            .filter(theme => theme.palette && theme.base === base)
+            .map(theme => `[data-bs-theme][${this._PALETTE_ATTRIBUTE}="${theme.id}"]`);
+
+        return {
+            light: [':root', '[data-bs-theme="light"]', ...palettes('light')],
+            dark: ['[data-bs-theme="dark"]', ...palettes('dark')]
+        };
+    }
+
+    /**
+     * Injects (or replaces) the stylesheet of the accent color, or removes it when there is no accent.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _applyAccent() {
+        if (typeof document === 'undefined') return;
+
+        try {
+            const existing = document.head.querySelector(`style[${this._ACCENT_ATTRIBUTE}]`);
+            const accent = this._getAccent();
+
+            if (!accent) {
+                if (existing) {
+                    existing.remove();
+                }
+                return;
+            }
+
+            const style = existing || this._createNode('style');
+            style.setAttribute(this._ACCENT_ATTRIBUTE, accent);
+            style.textContent = createAccentCss(accent, this._getAccentSelectors());
+            if (!existing) {
+                document.head.appendChild(style);
+            }
+
+            this._debug(`Applied accent color: ${accent}`);
+        } catch (error) {
+            this._debug('Failed to apply accent color', error, true);
+        }
+    }
+
+    /**
+     * Sets the accent color of the page and stores it with the theme of the document.
+     * @param {string|null} color - A #rgb or #rrggbb color, null to remove the stored accent.
+     * @param {Object} [options={}] - Optional settings.
+     * @param {boolean} [options.persist=true] - Whether to save the accent to storage.
+     * @param {boolean} [options.broadcast=true] - Whether to notify other tabs.
+     * @param {string} [options.source='user'] - What caused the change, passed to the bs-theme:accentchange event.
+     * @param {number|null} [options.timestamp] - Time of the change to store, see _setStorage().
+     * @returns {boolean} - Whether the accent was applied.
+     * @static
+     * @private
+     */
+    static _updateAccent(color, { persist = true, broadcast = true, source = 'user', timestamp } = {}) {
+        try {
+            const accent = color === null ? null : parseColor(color);
+            if (color !== null && !accent) {
+                this._debug(`Invalid accent color: ${color}. Expected #rgb or #rrggbb.`, null, true);
+                return false;
+            }
+
+            const scope = this._globalScope;
+            const key = this._getScopeKey(scope);
+            const previousAccent = this._getAccent();
+
+            scope.accent = accent;
+            this._applyAccent();
+
+            // The accent is stored in the entry of the theme, a theme set by the policy is not stored
+            const stored = key ? this._getStorage(key) : null;
+            const theme = stored !== null ? stored : scope.theme;
+            if (persist && key && theme) {
+                this._setStorage(key, theme, accent, timestamp);
+            }
+            if (broadcast && theme) {
+                this._broadcastTheme(theme, scope);
+            }
+
+            this._instances.forEach(instance => instance._sync());
+
+            const current = this._getAccent();
+            if (current !== previousAccent) {
+                this._dispatch('accentchange', { accent: current, previousAccent, source });
+            }
+
+            return true;
+        } catch (error) {
+            this._debug('Error updating accent color', error, true);
+            return false;
+        }
+    }
+
+    /**
+     * Creates the accent section of the dropdown menu: a divider, preset swatches and a custom color input.
+     * @returns {Array<HTMLElement>} - The list items.
+     * @static
+     * @private
+     */
+    static _createAccentItems() {
+        const { colors, custom } = this._config.accent;
+
+        const divider = this._createNode('li');
+        divider.setAttribute('role', 'separator');
+        const hr = this._createNode('hr');
+        hr.className = 'dropdown-divider';
+        divider.appendChild(hr);
+
+        const item = this._createNode('li');
+        item.setAttribute('role', 'none');
+        const group = this._createNode('div');
+        group.className = 'd-flex flex-wrap align-items-center gap-1 px-3 py-1';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', this._translate('accent'));
+
+        colors.map(parseColor).filter(Boolean).forEach(color => {
+            const swatch = this._createNode('button');
+            swatch.type = 'button';
+            swatch.className = 'btn rounded-circle border p-0';
+            swatch.style.cssText = `width: 1.5rem; height: 1.5rem; outline-offset: 2px; background-color: ${color};`;
+            swatch.setAttribute('role', 'menuitemradio');
+            swatch.setAttribute('aria-checked', 'false');
+            swatch.setAttribute('aria-label', color);
+            swatch.setAttribute('data-accent', color);
+            group.appendChild(swatch);
+        });
+
+        if (custom) {
+            const input = this._createNode('input');
+            input.type = 'color';
+            input.className = 'form-control form-control-color p-0 border-0';
+            input.style.cssText = 'width: 1.5rem; height: 1.5rem;';
+            input.value = DEFAULT_ACCENT;
+            input.setAttribute('aria-label', this._translate('customAccent'));
+            input.setAttribute('data-accent', 'custom');
+            group.appendChild(input);
+        }
+
+        item.appendChild(group);
+        return [divider, item];
+    }
+
+    /**
+     * Validates the options, deep-merges the shared ones into the configuration and registers configured themes.
+     * Invalid, unknown and deprecated options are reported and left out.
+     * @param {Object} options - Optional settings.
+     * @returns {Object} - The valid options, including the instance options.
+     * @static
+     * @private
+     */
+    static _configure(options) {
+        const { options: valid, errors, warnings } = validateConfig(options || {}, CONFIG_SCHEMA);
+        errors.forEach(message => this._debug(message, null, true));
+        warnings.forEach(message => this._debug(message));
+
+        const shared = { ...valid };
+        this._INSTANCE_OPTIONS.forEach(key => delete shared[key]);
+
+        const { policy } = this._config;
+        this._config = mergeConfig(this._config, shared, CONFIG_SCHEMA);
+        if (shared.storage) {
+            this._storageAdapter = null;
+        }
+        (shared.themes || []).forEach(theme => this.registerTheme(theme));
+        if (shared.policy) {
+            this._enforcePolicy(policy);
+        }
+        if (shared.accent && this._globalScope.restored) {
+            this._applyAccent();
+            this._instances.forEach(instance => instance._rerender());
+        }
+        if (shared.sync && this._globalScope.restored) {
+            this._loadRemote();
+        }
+        if (shared.frames && this._globalScope.restored) {
+            this._listenFrames();
+            this._instances.forEach(instance => instance._sync());
+        }
+
+        return valid;
+    }
+
+    /**
+     * Loads translations and applies the stored theme, once for all instances.
+     * @returns {Promise<void>} This method does not return a value but returns a promise.
+     * @static
+     * @private
+     */
+    static _initialize() {
+        if (!this._initialized) {
+            this._initialized = (async () => {
+                const language = this._detectLanguage();
+                const translations = await this._loadTranslations(language);
+
+                // null when setLanguage() was called in the meantime
+                if (translations) {
+                    this._language = language;
+                    this._translations = translations;
+                }
+
+                this._observeLanguage();
+                this._restoreTheme();
+            })();
+        }
+
+        return this._initialized;
+    }
+
+    /**
+     * Applies the stored theme of a scope unless it has already been restored.
+     * Does not depend on translations or a rendered control, so the public API can call it synchronously.
+     * @param {Object} [scope] - The theme scope, the document element by default.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _restoreTheme(scope = this._globalScope) {
+        if (scope.restored) return;
+        scope.restored = true;
+
+        const isGlobal = scope === this._globalScope;
+        const key = this._getScopeKey(scope);
+
+        const entry = key ? this._getStorageEntry(key) : null;
+        let theme = entry ? entry.value : null;
+        if (theme === null && isGlobal) {
+            theme = this._migrateStorage();
+        }
+
+        // The accent applies to the whole page, so only the document stores one
+        if (isGlobal) {
+            scope.accent = entry ? entry.accent : null;
+            this._applyAccent();
+        }
+
+        if (theme !== null && !this._getTheme(theme)) {
+            this._debug(`Saved theme ${theme} is not registered. Falling back to: system`);
+            theme = null;
+        }
+
+        const policyTheme = this._getPolicyTheme(scope);
+        if (policyTheme) {
+            // The stored preference is kept, so it applies again without the policy
+            this._debug(`Theme ${policyTheme} is set by the policy.`);
+            this._updateTheme(policyTheme, { scope, persist: false, broadcast: false, source: 'init' });
+        } else if (theme !== null && !this._isAllowed(theme)) {
+            const fallback = this._getFallbackTheme();
+            this._debug(`Saved theme ${theme} is not allowed. Falling back to: ${fallback}`);
+            this._updateTheme(fallback, { scope, persist: false, broadcast: false, source: 'init' });
+        } else if (theme === null && scope.inherit) {
+            this._restoreTheme();
+            this._debug("No saved theme found. Inheriting the document theme.");
+            this._setThemeAttributes(this._getScopeTarget(scope), null);
+            this._applyAppearance(scope);
+            this._instances.forEach(instance => instance._sync());
+            return;
+        } else if (theme === null) {
+            theme = this._getFallbackTheme();
+            // Stored without a time, so a preference from the server is newer
+            if (key) {
+                this._setStorage(key, theme, scope.accent, null);
+            }
+            this._debug(`No saved theme found. Defaulting to: ${theme}`);
+            this._updateTheme(theme, { scope, persist: false, broadcast: false, source: 'init' });
+        } else {
+            // With server sync the timestamp is the time of the selection, so it is not renewed on load
+            this._debug(`Saved theme found: ${theme}`);
+            this._updateTheme(theme, { scope, persist: !this._isSyncEnabled(), broadcast: false, source: 'init' });
+        }
+
+        if (isGlobal) {
+            this._listenTabs();
+            this._listenFrames();
+            this._loadRemote();
+        }
+    }
+
+    /**
+     * Returns the theme scope of a target, creating it on first use.
+     * @param {Object} options - The instance options.
+     * @param {string|HTMLElement|null} options.target - Selector or element receiving data-bs-theme.
+     * @param {string|null} options.storageKey - Storage key of the target.
+     * @param {boolean} options.inherit - Whether the target follows the document theme until the user selects one.
+     * @returns {Object} - The theme scope, the global scope for the document element.
+     * @static
+     * @private
+     */
+    static _resolveScope({ target, storageKey, inherit }) {
+        if (!target) return this._globalScope;
+
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!(element instanceof HTMLElement)) {
+            this._debug(`Target ${target} not found. Falling back to the document element.`, null, true);
+            return this._globalScope;
+        }
+
+        if (element === document.documentElement) return this._globalScope;
+
+        let scope = this._scopes.find(item => item.target === element);
+        if (!scope) {
+            let key = storageKey || null;
+            if (!key && typeof target === 'string') {
+                key = `${this._getStorageKey()}:${target}`;
+            } else if (!key && element.id) {
+                key = `${this._getStorageKey()}:#${element.id}`;
+            }
+
+            if (!key) {
+                this._debug('Target has no id and no storageKey. Its theme will not be stored.', element, true);
+            }
+
+            scope = { target: element, key, inherit: !!inherit, theme: null, resolved: null, restored: false };
+            this._scopes.push(scope);
+            this._debug(`Created theme scope ${key || ''}`, element);
+        }
+
+        return scope;
+    }
+
+    /**
+     * Returns the element of a scope receiving data-bs-theme.
+     * @param {Object} scope - The theme scope.
+     * @returns {HTMLElement} - The target element.
+     * @static
+     * @private
+     */
+    static _getScopeTarget(scope) {
+        return scope.target || document.documentElement;
+    }
+
+    /**
+     * Returns the storage key of a scope.
+     * @param {Object} scope - The theme scope.
+     * @returns {string|null} - The storage key or null if the scope is not stored.
+     * @static
+     * @private
+     */
+    static _getScopeKey(scope) {
+        return scope === this._globalScope ? this._getStorageKey() : scope.key;
+    }
+
+    /**
+     * Returns the effective theme of a scope, which is the document theme while an inheriting scope has no own theme.
+     * @param {Object} scope - The theme scope.
+     * @returns {Object} - { theme, resolved, inherited }.
+     * @static
+     * @private
+     */
+    static _getScopeState(scope) {
+        if (scope.theme === null && scope.inherit) {
+            const { theme, resolved } = this._globalScope;
+            return { theme, resolved, inherited: true };
+        }
+
+        return { theme: scope.theme, resolved: scope.resolved, inherited: false };
+    }
+
+    /**
+     * Returns the scope using a storage key.
+     * @param {string} key - The storage key.
+     * @returns {Object|undefined} - The theme scope.
+     * @static
+     * @private
+     */
+    static _findScopeByKey(key) {
+        return [this._globalScope, ...this._scopes].find(scope => this._getScopeKey(scope) === key);
+    }
+
+    /**
+     * Resolves the root element of the control.
+     * @param {string|HTMLElement} root - A selector or an element.
+     * @returns {HTMLElement} - The root element, document.body as a fallback.
+     * @static
+     * @private
+     */
+    static _resolveRoot(root) {
+        let element;
+        if (typeof root === 'string') {
+            element = document.querySelector(root);
+        } else if (root instanceof HTMLElement) {
+            element = root;
+        } else {
+            element = document.body;
+        }
+
+        if (!element) {
+            this._debug("Root element not found. Falling back to body.", null, true);
+            element = document.body;
+        }
+
+        return element;
+    }
+
+    /**
+     * Waits for the shared state and renders the control of this instance.
+     * @returns {Promise<void>} This method does not return a value but returns a promise.
+     * @private
+     */
+    async _init() {
+        const Toggler = BootstrapThemeToggler;
+
+        try {
+            Toggler._debug("Initializing..");
+
+            await Toggler._initialize();
+            if (this._destroyed) return;
+
+            Toggler._restoreTheme(this._getScope());
+
+            const root = Toggler._resolveRoot(this._options.root);
+            if (!this._hydrate(root)) {
+                this._createElement(root);
+                this._sync();
+            }
+
+            Toggler._debug("Initialized!");
+        } catch (error) {
+            Toggler._debug('Error during initialization', error, true);
+        }
+    }
+
+    /**
+     * Returns the theme scope of this instance.
+     * @returns {Object} - The theme scope.
+     * @private
+     */
+    _getScope() {
+        if (!this._scope) {
+            this._scope = BootstrapThemeToggler._resolveScope(this._options);
+        }
+        return this._scope;
+    }
+
+    /**
+     * Renders the control and appends it to the given root element.
+     * @param {HTMLElement} root - The root element to append the control to.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _createElement(root) {
+        const Toggler = BootstrapThemeToggler;
+
+        try {
+            Toggler._debug(`Creating element #${this._id}..`);
+
+            const element = this._render();
+            if (!element) return;
+
+            this._element = element;
             
-            if (!toggler) {
-                this._debug(`Element with ID #${this._ELEMENT_ID} not found.`, null, true);
+            if (this._options.prepend) {
+                root.insertAdjacentElement('afterbegin', element); 
+                Toggler._debug("Prepended element to the root.");
+            } else {
+                root.appendChild(element); 
+                Toggler._debug("Appended element to the root.");
+            }
+
+            this._comment = document.createComment('BootstrapThemeToggler v1.1.1 | https://jindrichrucil.github.io');
+            root.insertBefore(this._comment, root.firstChild);
+
+        } catch (error) {
+            Toggler._debug('Error creating element', error, true);
+        }
+    }
+
+    /**
+     * Adopts markup rendered by renderToString() instead of rendering the control again.
+     * @param {HTMLElement} root - The root element.
+     * @returns {HTMLElement|null} - The adopted control element, or null if the root has no server-rendered markup.
+     * @private
+     */
+    _hydrate(root) {
+        const Toggler = BootstrapThemeToggler;
+        const element = [...root.children].find(child => child.hasAttribute('data-bs-theme-toggler'));
+        if (!element || typeof this._options.ui === 'function') return null;
+
+        const state = element.getAttribute('data-bs-theme-toggler');
+        element.removeAttribute('data-bs-theme-toggler');
+
+        this._id = element.id || this._id;
+        element.id = this._id;
+        this._element = element;
+        this._listen(element);
+
+        this._comment = document.createComment('BootstrapThemeToggler v1.1.1 | https://jindrichrucil.github.io');
+        root.insertBefore(this._comment, root.firstChild);
+
+        // The server may not know the system preference or the stored theme
+        if (state !== Toggler._getHydrationState(this._getScope())) {
+            this._sync();
+            Toggler._debug('Updated server-rendered element to the current theme.');
+        }
+
+        Toggler._debug(`Hydrated element #${this._id}.`);
+        return element;
+    }
+
+    /**
+     * Creates the element of the configured UI variant and attaches the listeners of this instance.
+     * @returns {HTMLElement|null} - The control element.
+     * @private
+     */
+    _render() {
+        const Toggler = BootstrapThemeToggler;
+        const { ui, classes } = this._options;
+
+        let element;
+        if (typeof ui === 'function') {
+            element = this._renderCustom(null);
+        } else if (ui === 'switch') {
+            element = this._createSwitch();
+        } else if (ui === 'buttons') {
+            element = this._createButtonGroup();
+        } else if (ui === 'cycle') {
+            element = this._createCycleButton();
+        } else {
+            if (ui !== 'dropdown' && ui !== 'nav') {
+                Toggler._debug(`Unknown ui: ${ui}. Falling back to: dropdown`, null, true);
+            }
+            element = this._createDropdown(ui === 'nav');
+        }
+
+        if (!element) return null;
+
+        if (classes.container) {
+            element.className = `${element.className} ${classes.container}`.trim();
+            Toggler._debug(`Added custom class: '${classes.container}' to the container.`);
+        }
+
+        element.id = this._id;
+        this._listen(element);
+
+        return element;
+    }
+
+    /**
+     * Attaches the listeners of this instance to a control element.
+     * @param {HTMLElement} element - The control element.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _listen(element) {
+        element.addEventListener('click', this._onClick);
+        element.addEventListener('change', this._onChange);
+        element.addEventListener('keydown', this._onKeydown);
+    }
+
+    /**
+     * Removes the listeners added by _listen().
+     * @param {HTMLElement} element - The control element.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _unlisten(element) {
+        element.removeEventListener('click', this._onClick);
+        element.removeEventListener('change', this._onChange);
+        element.removeEventListener('keydown', this._onKeydown);
+        document.removeEventListener('click', this._onOutsideClick, true);
+
+        const Dropdown = BootstrapThemeToggler._getDropdownClass();
+        const button = element.querySelector('.dropdown-toggle');
+        const dropdown = Dropdown && button ? Dropdown.getInstance(button) : null;
+        if (dropdown) {
+            dropdown.dispose();
+        }
+    }
+
+    /**
+     * Re-renders the control in place, e.g. after the available themes changed.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _rerender() {
+        if (!this._element) return;
+
+        const element = this._render();
+        if (!element) return;
+
+        const focused = this._element.contains(document.activeElement) && document.activeElement.getAttribute('data-value');
+
+        this._unlisten(this._element);
+        this._element.replaceWith(element);
+        this._element = element;
+        this._sync();
+
+        // Keep the focus on the same option after re-rendering
+        const target = focused && element.querySelector(`[data-value="${focused}"]`);
+        if (target) {
+            target.focus();
+        }
+    }
+
+    /**
+     * Creates a dropdown, or a navbar nav-item dropdown.
+     * @param {boolean} nav - Whether to create a nav-item for .navbar-nav.
+     * @returns {HTMLElement} - The dropdown element.
+     * @private
+     */
+    _createDropdown(nav) {
+        const Toggler = BootstrapThemeToggler;
+        const { classes, align } = this._options;
+
+        const dropdown = Toggler._createNode(nav ? 'li' : 'div');
+        dropdown.className = nav ? 'nav-item dropdown' : 'dropdown';
+        
+        const button = Toggler._createNode('button');
+        button.className = `${nav ? 'nav-link' : 'btn border-0'} dropdown-toggle ${classes.button || ''}`.trim();
+        // Bootstrap's data API opens the menu and closes it on outside clicks, the toggler closes it after a selection
+        if (Toggler._config.dropdown !== false) {
+            button.setAttribute('data-bs-toggle', 'dropdown');
+            button.setAttribute('data-bs-auto-close', 'outside');
+        }
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-haspopup', 'menu');
+        button.id = `${this._id}-toggle`;
+        if (classes.button) {
+            Toggler._debug(`Added custom class: '${classes.button}' to the button.`);
+        }
+        
+        const dropdownMenu = Toggler._createNode('ul');
+        dropdownMenu.className = `dropdown-menu ${align === 'end' ? 'dropdown-menu-end' : ''} ${classes.menu || ''}`.replace(/\s+/g, ' ').trim();
+        dropdownMenu.setAttribute('role', 'menu');
+        dropdownMenu.setAttribute('aria-labelledby', button.id);
+        if (classes.menu) {
+            Toggler._debug(`Added custom class: '${classes.menu}' to the dropdown menu.`);
+        }
+
+        Toggler._getThemes().forEach(theme => {
+            dropdownMenu.appendChild(Toggler._createMenuItem(theme.id, Toggler._getThemeText(theme), '', 'dropdown-item'));
+        });
+
+        if (Toggler._config.accent.picker) {
+            dropdownMenu.append(...Toggler._createAccentItems());
+        }
+        
+        dropdown.appendChild(button);
+        dropdown.appendChild(dropdownMenu);
+
+        return dropdown;
+    }
+
+    /**
+     * Creates a form-switch toggling between light and dark.
+     * @returns {HTMLElement} - The form-switch element.
+     * @private
+     */
+    _createSwitch() {
+        const Toggler = BootstrapThemeToggler;
+        const { classes } = this._options;
+
+        const container = Toggler._createNode('div');
+        container.className = 'form-check form-switch';
+
+        const input = Toggler._createNode('input');
+        input.className = `form-check-input ${classes.button || ''}`.trim();
+        input.type = 'checkbox';
+        input.id = `${this._id}-switch`;
+        input.setAttribute('role', 'switch');
+        input.setAttribute('data-action', 'switch');
+
+        const label = Toggler._createNode('label');
+        label.className = 'form-check-label';
+        label.htmlFor = input.id;
+
+        container.appendChild(input);
+        container.appendChild(label);
+
+        return container;
+    }
+
+    /**
+     * Creates a button group of radio buttons, one per theme.
+     * @returns {HTMLElement} - The button group element.
+     * @private
+     */
+    _createButtonGroup() {
+        const Toggler = BootstrapThemeToggler;
+        const { classes } = this._options;
+
+        const group = Toggler._createNode('div');
+        group.className = 'btn-group';
+        group.setAttribute('role', 'radiogroup');
+
+        Toggler._getThemes().forEach(theme => {
+            const input = Toggler._createNode('input');
+            input.className = 'btn-check';
+            input.type = 'radio';
+            input.name = `${this._id}-theme`;
+            input.id = `${this._id}-${theme.id}`;
+            input.value = theme.id;
+            input.autocomplete = 'off';
+            input.setAttribute('data-value', theme.id);
+
+            const label = Toggler._createNode('label');
+            label.className = `btn ${classes.button || 'btn-outline-secondary'}`.trim();
+            label.htmlFor = input.id;
+
+            group.appendChild(input);
+            group.appendChild(label);
+        });
+
+        return group;
+    }
+
+    /**
+     * Creates an icon button that selects the next theme on every click.
+     * @returns {HTMLElement} - The button element.
+     * @private
+     */
+    _createCycleButton() {
+        const Toggler = BootstrapThemeToggler;
+        const { classes } = this._options;
+
+        const button = Toggler._createNode('button');
+        button.className = `btn border-0 ${classes.button || ''}`.trim();
+        button.setAttribute('data-action', 'cycle');
+
+        return button;
+    }
+
+    /**
+     * Calls the custom renderer with the current state.
+     * @param {HTMLElement|null} element - The element returned by the previous call, null on the first call.
+     * @returns {HTMLElement|null} - The element returned by the renderer.
+     * @private
+     */
+    _renderCustom(element) {
+        const Toggler = BootstrapThemeToggler;
+        const state = Toggler._getScopeState(this._getScope());
+
+        try {
+            const result = this._options.ui({
+                element,
+                options: { ...this._options },
+                state: {
+                    ...state,
+                    language: Toggler._language,
+                    forced: Toggler._config.policy.forced
+                },
+                themes: Toggler._getThemes().map(theme => ({
+                    id: theme.id,
+                    text: Toggler._getThemeText(theme),
+                    icon: Toggler._resolveIcon(theme, this._options.icons),
+                    active: theme.id === state.theme
+                })),
+                setTheme: value => Toggler._updateTheme(value, { scope: this._getScope(), origin: this._element })
+            });
+
+            if (result instanceof HTMLElement) return result;
+
+            Toggler._debug('Custom renderer did not return an HTMLElement.', null, true);
+        } catch (error) {
+            Toggler._debug('Error in custom renderer', error, true);
+        }
+
+        return null;
+    }
+
+    /**
+     * Updates the control to the current theme and translations.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _sync() {
+        const Toggler = BootstrapThemeToggler;
+
+        try {
+            if (!this._element) return;
+
+            const { ui, icons, display } = this._options;
+            const { theme: current, resolved } = Toggler._getScopeState(this._getScope());
+            const theme = Toggler._getTheme(current);
+
+            // The theme of an iframe following its parent is selected in the parent
+            const hidden = Toggler._isFollowingParent() && this._getScope() === Toggler._globalScope;
+
+            if (typeof ui === 'function') {
+                const element = this._renderCustom(this._element);
+                if (element && element !== this._element) {
+                    this._element.replaceWith(element);
+                    this._element = element;
+                    element.id = this._id;
+                    this._listen(element);
+                }
+                this._element.hidden = hidden;
+                return;
+            }
+
+            this._element.hidden = hidden;
+
+            const label = Toggler._translate('label');
+            const text = theme ? Toggler._getThemeText(theme) : '';
+
+            // A forced theme cannot be changed
+            const forced = !!Toggler._config.policy.forced;
+            const controls = this._element.matches('button') ? [this._element] : this._element.querySelectorAll('button, input');
+            controls.forEach(control => {
+                control.disabled = forced;
+            });
+
+            if (ui === 'switch') {
+                const input = this._element.querySelector('input');
+                const switchLabel = this._element.querySelector('label');
+                const dark = Toggler._getTheme('dark');
+                input.checked = resolved === 'dark';
+                switchLabel.textContent = dark ? Toggler._getThemeText(dark) : 'Dark';
+                return;
+            }
+
+            if (ui === 'buttons') {
+                this._element.setAttribute('aria-label', label);
+                this._element.querySelectorAll('input[data-value]').forEach(input => {
+                    const option = Toggler._getTheme(input.value);
+                    const label = this._element.querySelector(`label[for="${input.id}"]`);
+                    input.checked = input.value === current;
+                    if (option && label) {
+                        label.replaceChildren(...Toggler._createContent(option, icons, display || 'both'));
+                        input.setAttribute('aria-label', Toggler._getThemeText(option));
+                    }
+                });
+                return;
+            }
+
+            if (ui === 'cycle') {
+                if (theme) {
+                    this._element.replaceChildren(...Toggler._createContent(theme, icons, display || 'icon'));
+                    this._element.title = text;
+                    this._element.setAttribute('aria-label', Toggler._translate('current', { label, theme: text }));
+                }
+                return;
+            }
+
+            const accent = Toggler._getAccent();
+            this._element.querySelectorAll('.dropdown-menu [data-accent]').forEach(control => {
+                if (control.type === 'color') {
+                    control.value = accent || DEFAULT_ACCENT;
+                    control.setAttribute('aria-label', Toggler._translate('customAccent'));
+                    return;
+                }
+                const active = control.getAttribute('data-accent') === accent;
+                control.setAttribute('aria-checked', String(active));
+                control.style.outline = active ? '2px solid var(--bs-body-color)' : '';
+            });
+
+            const accentGroup = this._element.querySelector('.dropdown-menu [role="group"]');
+            if (accentGroup) {
+                accentGroup.setAttribute('aria-label', Toggler._translate('accent'));
+            }
+
+            this._element.querySelectorAll(".dropdown-menu [data-value]").forEach(item => {
+                const option = Toggler._getTheme(item.getAttribute('data-value'));
+                const active = item.getAttribute('data-value') === current;
+                if (option) {
+                    item.textContent = Toggler._getThemeText(option);
+                }
+                item.classList.toggle("active", active);
+                item.setAttribute('aria-checked', String(active));
+            });
+
+            const button = this._element.querySelector(".dropdown-toggle");
+            if (theme && button) {
+                button.replaceChildren(...Toggler._createContent(theme, icons, display || 'both'));
+                button.setAttribute('aria-label', Toggler._translate('current', { label, theme: text }));
+            }
+        } catch (error) {
+            Toggler._debug('Failed to update the control', error, true);
+        }
+    }
+
+    /**
+     * Handles clicks on the menu items and the cycle button of this control.
+     * @param {MouseEvent} event - The click event.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _handleClick(event) {
+        const Toggler = BootstrapThemeToggler;
+
+        const cycle = event.target.closest('[data-action="cycle"]');
+        if (cycle && this._element.contains(cycle)) {
+            Toggler._updateTheme(Toggler._getNextTheme(this._getScope()).id, { scope: this._getScope(), origin: this._element });
+            return;
+        }
+
+        const toggle = event.target.closest('.dropdown-toggle');
+        if (toggle && this._element.contains(toggle)) {
+            if (!Toggler._hasBootstrapDropdown()) {
+                this._toggleMenu();
+            }
+            return;
+        }
+
+        // The menu stays open, so the theme can be selected after the accent
+        const swatch = event.target.closest('button[data-accent]');
+        if (swatch && this._element.contains(swatch)) {
+            Toggler._updateAccent(swatch.getAttribute('data-accent'));
+            return;
+        }
+
+        const item = event.target.closest('a[data-value], button[data-value]');
+        if (!item || !this._element.contains(item)) return;
+
+        event.preventDefault();
+        Toggler._updateTheme(item.getAttribute("data-value"), { scope: this._getScope(), origin: this._element });
+
+        // Keep the focus in the control instead of losing it with the closed menu
+        const button = this._element.querySelector('.dropdown-toggle');
+        if (button) {
+            this._toggleMenu(false);
+            button.focus();
+        }
+    }
+
+    /**
+     * Opens or closes the dropdown menu, through Bootstrap's Dropdown API when it is loaded.
+     * Without it, the menu is positioned by _alignMenu() and closed by clicks outside of the control.
+     * @param {boolean} [open] - Whether to open the menu, toggles when omitted.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _toggleMenu(open) {
+        const Dropdown = BootstrapThemeToggler._getDropdownClass();
+        const button = this._element.querySelector('.dropdown-toggle');
+        const menu = this._element.querySelector('.dropdown-menu');
+        if (!button || !menu) return;
+
+        const show = open !== undefined ? open : !menu.classList.contains('show');
+
+        if (Dropdown) {
+            const dropdown = Dropdown.getOrCreateInstance(button);
+            if (show) {
+                dropdown.show();
+            } else {
+                dropdown.hide();
+            }
+            return;
+        }
+
+        if (show === menu.classList.contains('show')) return;
+
+        menu.classList.toggle('show', show);
+        button.classList.toggle('show', show);
+        button.setAttribute('aria-expanded', String(show));
+
+        // Added while the opening click is dispatched, so that click does not reach it
+        if (show) {
+            this._alignMenu(menu);
+            document.addEventListener('click', this._onOutsideClick, true);
+        } else {
+            document.removeEventListener('click', this._onOutsideClick, true);
+        }
+    }
+
+    /**
+     * Positions the opened menu without Popper, aligned to the start or end of the toggle in the text direction.
+     * Inline offsets keep the alignment in RTL also when the LTR Bootstrap CSS is used.
+     * The menu opens above the toggle when it does not fit below it, but above.
+     * @param {HTMLElement} menu - The dropdown menu.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _alignMenu(menu) {
+        const rtl = getComputedStyle(this._element).direction === 'rtl';
+        const right = (this._options.align === 'end') !== rtl;
+
+        menu.setAttribute('data-bs-popper', 'static');
+        menu.style.left = right ? 'auto' : '0';
+        menu.style.right = right ? '0' : 'auto';
+
+        const toggle = this._element.querySelector('.dropdown-toggle').getBoundingClientRect();
+        const height = menu.offsetHeight;
+        const up = toggle.bottom + height > window.innerHeight && toggle.top > height;
+
+        menu.style.top = up ? 'auto' : '';
+        menu.style.bottom = up ? '100%' : '';
+        menu.style.marginTop = up ? '0' : '';
+        menu.style.marginBottom = up ? 'var(--bs-dropdown-spacer)' : '';
+    }
+
+    /**
+     * Handles keyboard navigation in the dropdown menu: arrow keys, Home, End and Escape.
+     * Without Bootstrap's Dropdown JavaScript it also opens the menu from the toggle button.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _handleKeydown(event) {
+        const Toggler = BootstrapThemeToggler;
+        const button = this._element.querySelector('.dropdown-toggle');
+        const items = [...this._element.querySelectorAll('.dropdown-menu [data-value], .dropdown-menu [data-accent]')];
+        if (!button || !items.length) return;
+
+        const index = items.indexOf(document.activeElement);
+        const standalone = !Toggler._hasBootstrapDropdown();
+
+        if (index === -1) {
+            if (standalone && event.target === button && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+                event.preventDefault();
+                this._toggleMenu(true);
+                const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+                (checked || items[event.key === 'ArrowUp' ? items.length - 1 : 0]).focus();
+            } else if (standalone && event.key === 'Escape' && button.getAttribute('aria-expanded') === 'true') {
+                event.preventDefault();
+                this._toggleMenu(false);
+                button.focus();
+            }
+            return;
+        }
+
+        let next = null;
+        switch (event.key) {
+            case 'ArrowDown':
+                next = items[(index + 1) % items.length];
+                break;
+            case 'ArrowUp':
+                next = items[(index - 1 + items.length) % items.length];
+                break;
+            case 'Home':
+                next = items[0];
+                break;
+            case 'End':
+                next = items[items.length - 1];
+                break;
+            case 'Escape':
+                if (standalone) {
+                    event.preventDefault();
+                    this._toggleMenu(false);
+                    button.focus();
+                }
+                return;
+            case 'Tab':
+                if (standalone) {
+                    this._toggleMenu(false);
+                }
+                return;
+            default:
+                return;
+        }
+
+        // Handled here, so Bootstrap's document listener does not move the focus a second time
+        event.preventDefault();
+        event.stopPropagation();
+        next.focus();
+    }
+
+    /**
+     * Handles the form-switch and the radio buttons of this control.
+     * @param {Event} event - The change event.
+     * @returns {void} This method does not return a value.
+     * @private
+     */
+    _handleChange(event) {
+        const Toggler = BootstrapThemeToggler;
+        const input = event.target;
+
+        if (input.getAttribute('data-action') === 'switch') {
+            Toggler._updateTheme(input.checked ? 'dark' : 'light', { scope: this._getScope(), origin: this._element });
+        } else if (input.type === 'radio' && input.checked && input.hasAttribute('data-value')) {
+            Toggler._updateTheme(input.value, { scope: this._getScope(), origin: this._element });
+        } else if (input.type === 'color' && input.hasAttribute('data-accent')) {
+            Toggler._updateAccent(input.value);
+        }
+    }
+
+    /**
+     * Applies a theme selected in another tab without saving it back to shared storage or notifying other tabs.
+     * @param {string|null} theme - The theme value, or null when the preference was removed.
+     * @param {string} key - The storage key of the changed scope.
+     * @param {string|null} [accent=null] - The accent color stored with the theme of the document.
+     * @param {number|null} [timestamp=null] - Time of the change in the other tab, stored with the theme, so the change
+     * is not saved to the server again.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _receiveTheme(theme, key, accent = null, timestamp = null) {
+        const scope = this._findScopeByKey(key);
+        if (!scope || !scope.restored) return;
+
+        const value = theme !== null && this._getTheme(theme) ? theme : this._getFallbackTheme();
+        const isShared = this._getStorageAdapter().shared;
+
+        // Storage that is not shared (e.g. session storage) is per tab, so it is updated to keep the theme after a reload.
+        if (theme === null && !isShared) {
+            this._removeStorage(key);
+        }
+
+        if (scope === this._globalScope && parseColor(accent) !== scope.accent) {
+            this._updateAccent(parseColor(accent), { persist: !isShared && theme !== null, broadcast: false, source: 'tab', timestamp });
+        }
+
+        if (theme === null && scope.inherit) {
+            this._inheritTheme(scope, 'tab');
+            return;
+        }
+
+        if (value === scope.theme) return;
+
+        this._debug(`Received theme from another tab: ${value}`);
+
+        this._updateTheme(value, { scope, persist: !isShared && theme !== null, broadcast: false, source: 'tab', timestamp });
+    }
+
+    /**
+     * Drops the own theme of an inheriting scope, so it follows the document theme again.
+     * @param {Object} scope - The theme scope.
+     * @param {string} source - What caused the change, passed to events.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _inheritTheme(scope, source) {
+        if (scope.theme === null) return;
+
+        const target = this._getScopeTarget(scope);
+        const previous = { previousTheme: scope.theme, previousResolved: scope.resolved };
+
+        scope.theme = null;
+        scope.resolved = null;
+        this._setThemeAttributes(target, null);
+        this._applyAppearance(scope);
+        this._updateWatchers();
+        this._instances.forEach(instance => instance._sync());
+
+        const { theme, resolved } = this._getScopeState(scope);
+        this._notifyChange({ theme, resolved, ...previous, source, target }, scope);
+    }
+
+    /**
+     * Notifies other tabs about a theme selected in this tab.
+     * Local storage changes reach other tabs through the storage event, other storage changes through a BroadcastChannel.
+     * @param {string|null} theme - The selected theme value, or null when the preference was removed.
+     * @param {Object} [scope] - The theme scope, the document element by default.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _broadcastTheme(theme, scope = this._globalScope) {
+        const { channel } = this._tabListeners;
+        const key = this._getScopeKey(scope);
+        if (!channel || !key) return;
+
+        try {
+            const entry = this._getStorageEntry(key);
+            channel.postMessage({ key, value: theme, accent: scope.accent || null, timestamp: entry ? entry.timestamp : null });
+        } catch (error) {
+            this._debug('Failed to notify other tabs', error, true);
+        }
+    }
+
+    /**
+     * Starts listening for theme changes made in other tabs and windows.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _listenTabs() {
+        this._unlistenTabs();
+
+        if (this._config.storage.crossTab === false) return;
+
+        if (this._getStorageAdapter().type !== 'local') {
+            if (typeof BroadcastChannel === 'undefined') {
+                this._debug('BroadcastChannel is not supported. Tabs will not be synchronized.');
+                return;
+            }
+
+            const channel = new BroadcastChannel(this._CHANNEL_NAME);
+            channel.onmessage = event => {
+                const data = event.data || {};
+                if (typeof data.key === 'string') {
+                    this._receiveTheme(data.value, data.key, data.accent, data.timestamp);
+                }
+            };
+            this._tabListeners.channel = channel;
+        } else {
+            const storage = event => {
+                if (!event.key || event.storageArea !== localStorage || !this._findScopeByKey(event.key)) return;
+
+                let entry = null;
+                try {
+                    entry = event.newValue ? JSON.parse(event.newValue) : null;
+                } catch (error) {
+                    this._debug('Failed to parse theme from another tab', error, true);
+                    return;
+                }
+
+                this._receiveTheme(entry ? entry.value : null, event.key, entry ? entry.accent : null, entry ? entry.timestamp : null);
+            };
+            window.addEventListener('storage', storage);
+            this._tabListeners.storage = storage;
+        }
+
+        this._debug('Listening for theme changes in other tabs.');
+    }
+
+    /**
+     * Removes the listeners added by _listenTabs().
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _unlistenTabs() {
+        const { storage, channel } = this._tabListeners;
+
+        if (storage) {
+            window.removeEventListener('storage', storage);
+        }
+
+        if (channel) {
+            channel.close();
+        }
+
+        this._tabListeners = { storage: null, channel: null };
+    }
+
+    /**
+     * Whether messages of an origin are accepted by the frames option.
+     * @param {string} origin - The origin of the message.
+     * @returns {boolean} - Whether the origin is allowed.
+     * @static
+     * @private
+     */
+    static _isFrameOrigin(origin) {
+        const { origins } = this._config.frames;
+        if (origins.includes('*')) return true;
+        return origins.length ? origins.includes(origin) : origin === window.location.origin;
+    }
+
+    /**
+     * Whether this page is an iframe following the theme of its parent, so its controls are hidden.
+     * @returns {boolean} - Whether the theme is set by the parent window.
+     * @static
+     * @private
+     */
+    static _isFollowingParent() {
+        const { role, follow } = this._config.frames;
+        return role === 'child' && follow && typeof window !== 'undefined' && window.parent !== window;
+    }
+
+    /**
+     * Returns the windows receiving theme messages: the parent window of a child, the iframes of a parent.
+     * @returns {Array<Window>} - The windows.
+     * @static
+     * @private
+     */
+    static _getFrameWindows() {
+        const { role } = this._config.frames;
+
+        if (role === 'child') {
+            return window.parent !== window ? [window.parent] : [];
+        }
+
+        const frames = [...document.querySelectorAll('iframe')].map(frame => frame.contentWindow);
+        this._frameListeners.windows = this._frameListeners.windows.filter(target => !target.closed);
+
+        return [...new Set([...frames, ...this._frameListeners.windows])].filter(Boolean);
+    }
+
+    /**
+     * Posts a theme message to other windows. It is posted once per allowed origin, the browser only delivers it
+     * to windows of a matching origin.
+     * @param {Object} message - { type, theme, resolved }.
+     * @param {Array<Window>} [windows] - The receiving windows, see _getFrameWindows().
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _postFrames(message, windows = this._getFrameWindows()) {
+        const { origins } = this._config.frames;
+        const targets = origins.length ? origins : [window.location.origin];
+        const data = { channel: this._CHANNEL_NAME, ...message };
+
+        windows.forEach(target => targets.forEach(origin => {
+            try {
+                target.postMessage(data, origin);
+            } catch (error) {
+                this._debug(`Failed to post the theme to ${origin}`, error, true);
+            }
+        }));
+    }
+
+    /**
+     * Shares a change of the document theme with other windows: a parent sends it to its iframes,
+     * a child that does not follow its parent reports selections to it.
+     * @param {Object} detail - The change detail.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _shareFrameTheme(detail) {
+        const { role, follow } = this._config.frames;
+
+        if (role === 'parent') {
+            this._postFrames({ type: 'theme', theme: detail.theme, resolved: detail.resolved });
+        } else if (role === 'child' && !follow && (detail.source === 'user' || detail.source === 'api')) {
+            this._postFrames({ type: 'select', theme: detail.theme });
+        }
+    }
+
+    /**
+     * Handles theme messages of other windows.
+     * A parent answers the handshake of a child and applies the selections reported by children,
+     * a child applies the theme of its parent, or its light/dark value when the theme is not registered in the child.
+     * @param {MessageEvent} event - The message event.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _receiveFrameMessage(event) {
+        const data = event.data;
+        if (!data || data.channel !== this._CHANNEL_NAME || !this._isFrameOrigin(event.origin)) return;
+
+        const { role } = this._config.frames;
+        const scope = this._globalScope;
+
+        if (role === 'parent' && event.source && event.source !== window) {
+            if (data.type === 'hello') {
+                if (!this._frameListeners.windows.includes(event.source)) {
+                    this._frameListeners.windows.push(event.source);
+                }
+                if (scope.theme) {
+                    this._postFrames({ type: 'theme', theme: scope.theme, resolved: scope.resolved }, [event.source]);
+                }
+            } else if (data.type === 'select' && typeof data.theme === 'string' && data.theme !== scope.theme) {
+                this._debug(`Received theme from an iframe: ${data.theme}`);
+                this._updateTheme(data.theme, { source: 'frame' });
+            }
+        } else if (role === 'child' && event.source === window.parent && data.type === 'theme') {
+            const theme = this._getTheme(data.theme) ? data.theme : data.resolved;
+            if (typeof theme !== 'string' || theme === scope.theme || !this._getTheme(theme)) return;
+
+            this._debug(`Received theme from the parent window: ${theme}`);
+            this._updateTheme(theme, { persist: false, broadcast: false, source: 'frame' });
+        }
+    }
+
+    /**
+     * Starts exchanging theme messages with the parent window or iframes, depending on the frames option.
+     * A child asks its parent for the current theme, a parent sends it to the iframes loaded so far.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _listenFrames() {
+        this._unlistenFrames();
+
+        const { role } = this._config.frames;
+        if (!role) return;
+
+        const message = event => this._receiveFrameMessage(event);
+        window.addEventListener('message', message);
+        this._frameListeners.message = message;
+
+        const { theme, resolved } = this._globalScope;
+        if (role === 'child') {
+            this._postFrames({ type: 'hello' });
+        } else if (theme) {
+            this._postFrames({ type: 'theme', theme, resolved });
+        }
+
+        this._debug(`Exchanging the theme with ${role === 'child' ? 'the parent window' : 'iframes'}.`);
+    }
+
+    /**
+     * Removes the listener added by _listenFrames().
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _unlistenFrames() {
+        const { message } = this._frameListeners;
+
+        if (message) {
+            window.removeEventListener('message', message);
+        }
+
+        this._frameListeners = { message: null, windows: [] };
+    }
+
+    /**
+     * Applies the selected theme settings and updates all controls accordingly.
+     * @param {string} key - The selected theme id, saved to localStorage or sessionStorage.
+     * @param {string} resolved - The resolved light/dark value.
+     * @param {Object} [options={}] - See _updateTheme().
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _applyThemeSettings(key, resolved, { scope = this._globalScope, persist = true, broadcast = true, timestamp } = {}) {
+        try {
+            const target = this._getScopeTarget(scope);
+            const storageKey = this._getScopeKey(scope);
+
+            // The head script may have applied the theme already
+            if (this._setThemeAttributes(target, this._getTheme(key), resolved)) {
+                this._debug(`Theme ${key} applied.`);
+            } else {
+                this._debug(`Theme ${key} is already applied.`);
+            }
+
+            if (persist && storageKey) {
+                this._setStorage(storageKey, key, scope.accent, timestamp);
+            }
+
+            if (broadcast) {
+                this._broadcastTheme(key, scope);
+            }
+
+            this._applyAppearance(scope);
+            this._instances.forEach(instance => instance._sync());
+        } catch (error) {
+            this._debug('Failed to apply theme settings', error, true);
+        }
+    }
+
+    /**
+     * Runs a theme update with the configured transition: a circular reveal from the origin with the View Transitions API,
+     * or a temporary CSS color transition in other browsers. Runs it directly when transitions are disabled or reduced
+     * motion is preferred.
+     * @param {Function} update - Applies the theme.
+     * @param {HTMLElement} [origin] - The control the theme was selected with, the reveal starts at its center.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _transition(update, origin) {
+        const { transition } = this._config;
+        const reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        if (!transition || reduced) {
+            update();
+            return;
+        }
+
+        const { duration = 400, easing = 'ease-in-out' } = typeof transition === 'object' ? transition : {};
+        this._injectTransitionStyles(duration, easing);
+
+        try {
+            if (typeof document.startViewTransition === 'function') {
+                const anchor = origin && origin.isConnected ? origin.querySelector('.dropdown-toggle') || origin : null;
+                if (anchor) {
+                    document.documentElement.classList.add('bs-theme-reveal');
+                }
+
+                const viewTransition = document.startViewTransition(update);
+
+                if (anchor) {
+                    const rect = anchor.getBoundingClientRect();
+                    const x = rect.left + rect.width / 2;
+                    const y = rect.top + rect.height / 2;
+                    const radius = Math.hypot(Math.max(x, window.innerWidth - x), Math.max(y, window.innerHeight - y));
+
+                    viewTransition.ready.then(() => {
+                        document.documentElement.animate(
+                            { clipPath: [`circle(0px at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`] },
+                            { duration, easing, pseudoElement: '::view-transition-new(root)' }
+                        );
+                    }).catch(() => {});
+                }
+
+                viewTransition.finished.finally(() => document.documentElement.classList.remove('bs-theme-reveal'));
                 return;
             }
-            
-            const dropdownItems = toggler.querySelectorAll(".dropdown-menu li a");
-            dropdownItems.forEach(item => item.classList.remove("active"));
-            
-            const selectedItem = toggler.querySelector(`.dropdown-menu li a[data-value="${theme}"]`);
-            if (selectedItem) {
-                selectedItem.classList.add("active");
+
+            document.documentElement.classList.add('bs-theme-transition');
+            update();
+
+            clearTimeout(this._transitionTimer);
+            this._transitionTimer = setTimeout(() => document.documentElement.classList.remove('bs-theme-transition'), duration);
+        } catch (error) {
+            this._debug('Theme transition failed', error, true);
+            update();
+        }
+    }
+
+    /**
+     * Applies a theme with all CSS transitions disabled, so nothing animates on page load.
+     * @param {Function} update - Applies the theme.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _withoutTransitions(update) {
+        if (!this._config.transition) {
+            update();
+            return;
+        }
+
+        this._injectTransitionStyles();
+        document.documentElement.classList.add('bs-theme-no-transition');
+        update();
+
+        // Reading a style flushes the new theme before transitions are enabled again
+        window.getComputedStyle(document.documentElement).getPropertyValue('color');
+        requestAnimationFrame(() => document.documentElement.classList.remove('bs-theme-no-transition'));
+    }
+
+    /**
+     * Adds the style sheet of the transition classes, or updates its duration and easing.
+     * @param {number} [duration=400] - The duration in milliseconds.
+     * @param {string} [easing='ease-in-out'] - The timing function.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _injectTransitionStyles(duration = 400, easing = 'ease-in-out') {
+        let style = document.head.querySelector('style[data-bs-theme-transition]');
+        if (!style) {
+            style = this._createNode('style');
+            style.setAttribute('data-bs-theme-transition', '');
+            document.head.appendChild(style);
+        }
+
+        const css = [
+            '.bs-theme-reveal::view-transition-old(root),.bs-theme-reveal::view-transition-new(root){animation:none;mix-blend-mode:normal}',
+            `.bs-theme-transition,.bs-theme-transition *,.bs-theme-transition *::before,.bs-theme-transition *::after{transition:color ${duration}ms ${easing},background-color ${duration}ms ${easing},border-color ${duration}ms ${easing},fill ${duration}ms ${easing},box-shadow ${duration}ms ${easing}!important}`,
+            '.bs-theme-no-transition,.bs-theme-no-transition *,.bs-theme-no-transition *::before,.bs-theme-no-transition *::after{transition:none!important}'
+        ].join('\n');
+
+        if (style.textContent !== css) {
+            style.textContent = css;
+        }
+    }
+
+    /**
+     * Updates what Bootstrap's CSS does not cover to the theme of a scope: the color-scheme property, images and,
+     * for the document, the theme-color meta and the favicon.
+     * @param {Object} scope - The theme scope.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _applyAppearance(scope) {
+        try {
+            const { themeColor, colorScheme, favicon, images } = this._config.appearance;
+            const { theme, resolved, inherited } = this._getScopeState(scope);
+            const target = this._getScopeTarget(scope);
+
+            if (colorScheme && (inherited || !resolved)) {
+                target.style.removeProperty('color-scheme');
+            } else if (colorScheme) {
+                target.style.colorScheme = resolved;
+            }
+
+            // Themes without a value restore the original content and href
+            if (scope === this._globalScope && themeColor) {
+                this._setHeadElements('meta[name="theme-color"]', () => {
+                    const meta = this._createNode('meta');
+                    meta.name = 'theme-color';
+                    return meta;
+                }, 'content', this._getAppearanceValue(themeColor, theme, resolved));
+            }
+
+            if (scope === this._globalScope && favicon) {
+                const icon = this._getAppearanceValue(favicon, theme, resolved);
+                const type = this._getIconType(icon);
+
+                this._setHeadElements('link[rel~="icon"]', () => {
+                    const link = this._createNode('link');
+                    link.rel = 'icon';
+                    if (type) link.type = type;
+                    return link;
+                }, 'href', icon, link => this._getIconType(link.getAttribute(this._DEFAULT_ATTRIBUTE) || link.getAttribute('href'), link.getAttribute('type')) === type);
+            }
+
+            if (images) {
+                this._swapImages(target);
+            }
+        } catch (error) {
+            this._debug('Failed to apply the theme appearance', error, true);
+        }
+    }
+
+    /**
+     * Returns the value of a theme from a map of theme ids or light/dark values.
+     * @param {Object|null} values - Map of theme ids and 'light'/'dark' to values.
+     * @param {string} theme - The theme id.
+     * @param {string} resolved - The light/dark value of the theme.
+     * @returns {string|null} - The value of the theme, or of its light/dark value.
+     * @static
+     * @private
+     */
+    static _getAppearanceValue(values, theme, resolved) {
+        if (!values) return null;
+        return values[theme] || values[resolved] || null;
+    }
+
+    /**
+     * Returns the MIME type of a favicon.
+     * @param {string|null} href - The favicon URL.
+     * @param {string|null} [type] - The type attribute of the icon link, used when set.
+     * @returns {string|null} - The type, or null if it is not known.
+     * @static
+     * @private
+     */
+    static _getIconType(href, type = null) {
+        if (type) return type === 'image/vnd.microsoft.icon' ? 'image/x-icon' : type;
+
+        const match = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(href || '');
+        return (match && this._ICON_TYPES[match[1].toLowerCase()]) || null;
+    }
+
+    /**
+     * Sets an attribute of the matching elements in the <head>, creating one if none matches. The original value
+     * is kept in the default attribute and restored once the value is null, or once other elements receive the value.
+     * @param {string} selector - The element selector.
+     * @param {Function} create - Creates a new element.
+     * @param {string} attribute - The attribute to set.
+     * @param {string|null} value - The attribute value, null to restore the original values.
+     * @param {Function} [filter] - Selects the elements receiving the value, all matching elements by default.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _setHeadElements(selector, create, attribute, value, filter = () => true) {
+        const changed = [...document.head.querySelectorAll(`${selector}[${this._DEFAULT_ATTRIBUTE}]`)];
+
+        let elements = value === null ? [] : [...document.head.querySelectorAll(selector)].filter(filter);
+        if (value !== null && !elements.length) {
+            // Added elements have no original value, so they are emptied on restore
+            const element = create();
+            element.setAttribute(this._DEFAULT_ATTRIBUTE, '');
+            elements = [document.head.appendChild(element)];
+        }
+
+        changed.filter(element => !elements.includes(element)).forEach(element => {
+            const original = element.getAttribute(this._DEFAULT_ATTRIBUTE);
+            if (!original) {
+                element.removeAttribute(attribute);
+            } else if (element.getAttribute(attribute) !== original) {
+                element.setAttribute(attribute, original);
+            }
+        });
+
+        elements.forEach(element => {
+            if (!element.hasAttribute(this._DEFAULT_ATTRIBUTE)) {
+                element.setAttribute(this._DEFAULT_ATTRIBUTE, element.getAttribute(attribute) || '');
+            }
+            if (element.getAttribute(attribute) !== value) {
+                element.setAttribute(attribute, value);
+            }
+        });
+    }
+
+    /**
+     * Swaps src and srcset of elements marked with data-src-* and data-srcset-* attributes to the theme they are shown in,
+     * e.g. data-src-dark or data-src-sepia, falling back to the light/dark value of a theme.
+     * @param {HTMLElement} [root=document.documentElement] - The element containing the elements to update.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _swapImages(root = document.documentElement) {
+        const keys = ['light', 'dark', ...this._themes.map(theme => theme.id)];
+        const selector = keys.map(key => `[data-src-${key}],[data-srcset-${key}]`).join(',');
+
+        root.querySelectorAll(selector).forEach(element => {
+            const scope = element.closest('[data-bs-theme]');
+            const value = scope && scope.getAttribute('data-bs-theme');
+            if (!value) return;
+
+            const palette = scope.getAttribute(this._PALETTE_ATTRIBUTE);
+            const candidates = palette ? [palette, value] : [value];
+
+            ['src', 'srcset'].forEach(property => {
+                const key = candidates.find(candidate => element.hasAttribute(`data-${property}-${candidate}`));
+                const source = key && element.getAttribute(`data-${property}-${key}`);
+                if (source && element.getAttribute(property) !== source) {
+                    element.setAttribute(property, source);
+                }
+            });
+        });
+    }
+
+    /**
+     * Updates the theme based on the provided value and saves it to storage.
+     * @param {string} theme - The theme value.
+     * @param {Object} [options={}] - Optional settings.
+     * @param {Object} [options.scope] - The theme scope, the document element by default.
+     * @param {HTMLElement} [options.origin] - The control the theme was selected with, where the transition starts.
+     * @param {boolean} [options.persist=true] - Whether to save the theme to storage.
+     * @param {boolean} [options.broadcast=true] - Whether to notify other tabs (storage without storage events only).
+     * @param {string} [options.source='user'] - What caused the change ('user', 'api', 'init', 'tab', 'frame', 'sync' or 'policy'), passed to events.
+     * @param {number|null} [options.timestamp] - Time of the change to store, see _setStorage().
+     * @returns {boolean} - Whether the theme was applied.
+     * @static
+     * @private
+     */
+    static _updateTheme(theme, options = {}) {
+        try {
+            this._debug(`Updating theme to: ${theme}`);
+            
+            const definition = this._getTheme(theme);
+            if (!definition) {
+                this._debug(`Unknown theme: ${theme}`, null, true);
+                return false;
+            }
+
+            const scope = options.scope || this._globalScope;
+            const source = options.source || 'user';
+
+            if (source !== 'init' && source !== 'policy') {
+                const { forced } = this._config.policy;
+                const reason = forced && definition.id !== forced
+                    ? `the theme is forced to ${forced}`
+                    : !this._isAllowed(definition.id) && 'it is not allowed';
+
+                if (reason) {
+                    this._debug(`Theme ${definition.id} cannot be selected, ${reason}.`, null, true);
+                    this._instances.forEach(instance => instance._sync());
+                    return false;
+                }
+            }
+
+            const resolved = this._resolveTheme(definition);
+            const previous = this._getScopeState(scope);
+            const detail = {
+                theme: definition.id,
+                resolved,
+                previousTheme: previous.theme,
+                previousResolved: previous.resolved,
+                source,
+                target: this._getScopeTarget(scope)
+            };
+
+            if (source !== 'init' && !this._confirmChange(detail, scope)) {
+                this._debug(`Change to ${definition.id} was canceled.`);
+                this._instances.forEach(instance => instance._sync());
+                return false;
+            }
+
+            scope.theme = definition.id;
+            scope.resolved = resolved;
+            this._updateWatchers();
+
+            const apply = () => {
+                this._applyThemeSettings(definition.id, resolved, { ...options, scope });
+
+                if (source === 'init') {
+                    this._dispatch('init', detail, false, detail.target);
+                } else {
+                    this._notifyChange(detail, scope);
+                }
+            };
+
+            if (source === 'init') {
+                this._withoutTransitions(apply);
+            } else {
+                this._transition(apply, options.origin);
+            }
+
+            return true;
+        } catch (error) {
+            this._debug('Error updating theme', error, true);
+            return false;
+        }
+    }  
+
+    /**
+     * Dispatches a bs-theme:* CustomEvent on the element of a scope.
+     * @param {string} name - The event name without the prefix.
+     * @param {Object} detail - The event detail.
+     * @param {boolean} [cancelable=false] - Whether the event can be canceled.
+     * @param {HTMLElement} [target] - The element to dispatch on, the document element by default.
+     * @returns {boolean} - False if the event was canceled.
+     * @static
+     * @private
+     */
+    static _dispatch(name, detail, cancelable = false, target = document.documentElement) {
+        try {
+            const event = new CustomEvent(`${this._EVENT_PREFIX}${name}`, {
+                bubbles: true,
+                cancelable,
+                detail: { ...detail }
+            });
+            return target.dispatchEvent(event);
+        } catch (error) {
+            this._debug(`Failed to dispatch ${name} event`, error, true);
+            return true;
+        }
+    }
+
+    /**
+     * Runs the onBeforeChange callback and the bs-theme:beforechange event.
+     * @param {Object} detail - The change detail.
+     * @param {Object} [scope] - The theme scope, the document element by default.
+     * @returns {boolean} - False if the change was canceled.
+     * @static
+     * @private
+     */
+    static _confirmChange(detail, scope = this._globalScope) {
+        if (typeof this._config.onBeforeChange === 'function') {
+            try {
+                if (this._config.onBeforeChange({ ...detail }) === false) return false;
+            } catch (error) {
+                this._debug('Error in onBeforeChange callback', error, true);
+            }
+        }
+
+        return this._dispatch('beforechange', detail, true, this._getScopeTarget(scope));
+    }
+
+    /**
+     * Runs the onChange callback and dispatches the bs-theme:change event.
+     * @param {Object} detail - The change detail.
+     * @param {Object} [scope] - The theme scope, the document element by default.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _notifyChange(detail, scope = this._globalScope) {
+        if (this._config.announce) {
+            const theme = this._getTheme(detail.theme);
+            if (theme) {
+                this._announce(this._translate('announcement', { theme: this._getThemeText(theme) }));
+            }
+        }
+
+        if (typeof this._config.onChange === 'function') {
+            try {
+                this._config.onChange({ ...detail });
+            } catch (error) {
+                this._debug('Error in onChange callback', error, true);
+            }
+        }
+
+        this._dispatch('change', detail, false, this._getScopeTarget(scope));
+
+        if (scope === this._globalScope) {
+            this._shareFrameTheme(detail);
+        }
+    }
+
+    /**
+     * Returns the languages to look up for a language, from the most to the least specific, e.g. pt-BR, pt and the default.
+     * @param {string} lang - The language code.
+     * @returns {Array<string>} - The language codes.
+     * @static
+     * @private
+     */
+    static _getLanguageChain(lang) {
+        const parts = String(lang || '').replace(/_/g, '-').split('-').filter(Boolean);
+        const chain = parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+
+        chain.push(this._config.i18n.default);
+        return chain.filter((item, index) => item && chain.findIndex(other => other.toLowerCase() === item.toLowerCase()) === index);
+    }
+
+    /**
+     * Returns the configured translations of a language, matching the language code case-insensitively.
+     * @param {string} code - The language code.
+     * @returns {Object|string|null} - The translations, the URL of remote translations or null.
+     * @static
+     * @private
+     */
+    static _findTranslations(code) {
+        const translations = this._config.i18n.translations || {};
+        const key = Object.keys(translations).find(item => item.toLowerCase() === code.toLowerCase());
+
+        return key ? translations[key] : null;
+    }
+
+    /**
+     * Returns the configured translations of a language without loading remote ones, for rendering on the server.
+     * @param {string} lang - The language code.
+     * @returns {Object} - The merged translations of the language chain.
+     * @static
+     * @private
+     */
+    static _getInlineTranslations(lang) {
+        const loaded = this._getLanguageChain(lang)
+            .map(code => this._findTranslations(code))
+            .filter(entry => entry && typeof entry === 'object');
+
+        return Object.assign({}, ...loaded.reverse());
+    }
+
+    /**
+     * Fetches remote translations, or returns them from the cache.
+     * @param {string} url - The URL of the JSON file.
+     * @param {AbortSignal} [signal] - Aborts the request.
+     * @returns {Promise<Object|null>} - The translations or null if they could not be loaded.
+     * @static
+     * @private
+     */
+    static async _fetchTranslations(url, signal) {
+        if (this._translationCache[url]) {
+            this._debug(`Translations loaded from cache: ${url}`);
+            return this._translationCache[url];
+        }
+
+        try {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                this._debug(`Failed to load translations from ${url}`, null, true);
+                return null;
+            }
+
+            const translations = await response.json();
+            this._translationCache[url] = translations;
+            this._debug(`Translations loaded successfully from ${url}`);
+            return translations;
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                this._debug(`Loading translations from ${url} was aborted.`);
             } else {
-                this._debug(`Theme option not found for: ${theme}`, null, true);
-                return;
-            }
-    
-            switch (theme) {
-                case "system":
-                    if (window.matchMedia("(prefers-color-scheme: dark)").matches) {
-                        this._debug('Detected system preference: dark');
-                        this._applyThemeSettings("system", "dark", "bi bi-circle-half", this._config.i18n.translations.system || 'System');
-                    } else {
-                        this._debug('Detected system preference: light');
-                        this._applyThemeSettings("system", "light", "bi bi-circle-half", this._config.i18n.translations.system || 'System');
-                    }
-                    break;
-    
-                case "light":
-                    this._applyThemeSettings("light", "light", "bi bi-brightness-high-fill", this._config.i18n.translations.light || 'Light');
-                    break;
-    
-                case "dark":
-                    this._applyThemeSettings("dark", "dark", "bi bi-moon-fill", this._config.i18n.translations.dark || 'Dark');
-                    break;
-    
-                default:
-                    this._debug(`Unknown theme: ${theme}`, null, true);
-                    break;
+                this._debug(`Failed to load translations from ${url}`, error, true);
             }
-        } catch (error) {
-            this._debug('Error updating theme', error, true);
+            return null;
         }
-    }  
+    }
 
     /**
-     * Loads translations based on the configuration.
+     * Loads translations of a language, falling back to less specific languages and the default one for missing keys.
+     * Aborts translations still loading for a previously requested language.
      * @param {string} lang - The language to load.
-     * @returns {Promise<object>} - An object containing translations.
+     * @returns {Promise<Object|null>} - The translations, or null if another language was requested in the meantime.
      * @static
      * @private
      */
     static async _loadTranslations(lang) {
+        if (this._translationController) {
+            this._translationController.abort();
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const { timeout } = this._config.i18n;
+        const timer = controller && timeout ? setTimeout(() => controller.abort(), timeout) : null;
+        this._translationController = controller;
+
         try {
             this._debug(`Loading translations for language: ${lang}`);
-            const translationsConfig = this._config.i18n.translations;
-
-            if (typeof translationsConfig[lang] === 'string') {
-                const response = await fetch(translationsConfig[lang]);
-                if (response.ok) {
-                    const translations = await response.json();
-                    this._debug(`Translations loaded successfully for language: ${lang}`);
-                    return translations;
-                } else {
-                    this._debug(`Failed to load translations from ${translationsConfig[lang]}`, null, true);
+
+            const chain = this._getLanguageChain(lang);
+            const loaded = [];
+
+            for (const code of chain) {
+                const entry = this._findTranslations(code);
+                const translations = typeof entry === 'string'
+                    ? await this._fetchTranslations(entry, controller ? controller.signal : undefined)
+                    : entry;
+
+                if (controller && controller !== this._translationController) return null;
+
+                if (translations) {
+                    loaded.push(translations);
                 }
             }
 
-            if (translationsConfig[lang]) {
-                this._debug(`Translations found in config for language: ${lang}`);
-                return translationsConfig[lang];
-            } else {
-                this._debug(`No translations found for language: ${lang}. Using default config.`);
-                return translationsConfig[this._config.i18n.default] || {};
+            if (!loaded.length) {
+                this._debug(`No translations found for language: ${lang}.`);
             }
+
+            // The most specific language wins
+            return Object.assign({}, ...loaded.reverse());
         } catch (error) {
             this._debug('Error loading translations', error, true);
-            return this._config.i18n.translations[this._config.i18n.default] || {};
+            return {};
+        } finally {
+            clearTimeout(timer);
+            if (this._translationController === controller) {
+                this._translationController = null;
+            }
         }
     }
 
@@ -393,7 +3500,7 @@ export default class BootstrapThemeToggler {
             let detectedLang = defaultLang;
     
             if (autoDetect === 'browser') {
-                detectedLang = navigator.language.split('-')[0] || defaultLang;
+                detectedLang = navigator.language || defaultLang;
                 this._debug(`Detected language from browser: ${detectedLang}`);
             } else if (autoDetect === 'document') {
                 detectedLang = document.documentElement.lang || defaultLang;
@@ -409,6 +3516,321 @@ export default class BootstrapThemeToggler {
         }
     }  
 
+    /**
+     * Follows changes of the lang attribute of the document element when i18n.observe is enabled.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _observeLanguage() {
+        if (!this._config.i18n.observe || this._languageObserver || typeof MutationObserver === 'undefined') return;
+
+        try {
+            this._languageObserver = new MutationObserver(() => {
+                const lang = document.documentElement.lang || this._config.i18n.default;
+                if (lang !== this._language) {
+                    this.setLanguage(lang);
+                }
+            });
+            this._languageObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+            this._debug('Observing the lang attribute of the document.');
+        } catch (error) {
+            this._debug('Failed to observe the document language', error, true);
+        }
+    }
+
+    /**
+     * Registers a custom theme, or replaces a registered one with the same id.
+     * @param {Object} definition - The theme definition.
+     * @param {string} definition.id - Unique theme id, used as the stored value.
+     * @param {string} [definition.label] - Translation key of the label (defaults to the id).
+     * @param {string} [definition.text] - Label used when no translation is found (defaults to the id).
+     * @param {string} [definition.icon] - Icon class for the theme.
+     * @param {string} [definition.base='light'] - The data-bs-theme value the theme is based on ('light' or 'dark').
+     * @param {Object} [definition.palette] - Bootstrap CSS variables, e.g. { 'body-bg': '#f4ecd8' }.
+     * @returns {boolean} - Whether the theme was registered.
+     * @static
+     */
+    static registerTheme(definition) {
+        try {
+            const theme = this._normalizeTheme(definition);
+            if (!theme) return false;
+
+            const existing = this._themes.find(item => item.id === theme.id);
+            if (existing && (existing.base === 'system' || existing.base === 'schedule')) {
+                this._debug(`The built-in ${theme.id} theme cannot be replaced.`, null, true);
+                return false;
+            }
+
+            if (existing) {
+                this._themes[this._themes.indexOf(existing)] = theme;
+            } else {
+                this._themes.push(theme);
+            }
+
+            this._injectPalette(theme);
+            this._applyAccent();
+
+            this._instances.forEach(instance => instance._rerender());
+
+            this._debug(`Registered theme: ${theme.id}`);
+            return true;
+        } catch (error) {
+            this._debug('Error registering theme', error, true);
+            return false;
+        }
+    }
+
+    /**
+     * Returns the selected theme option, e.g. 'system', 'light', 'dark' or a registered theme id.
+     * @returns {string} - The selected theme.
+     * @static
+     */
+    static getTheme() {
+        this._restoreTheme();
+        return this._globalScope.theme;
+    }
+
+    /**
+     * Returns the light or dark value the selected theme resolves to, e.g. the system preference for 'system'.
+     * @returns {string} - Either 'light' or 'dark'.
+     * @static
+     */
+    static getResolvedTheme() {
+        this._restoreTheme();
+        return this._globalScope.resolved;
+    }
+
+    /**
+     * Returns the accent color of the page.
+     * @returns {string|null} - The #rrggbb accent color, or null for Bootstrap's primary color.
+     * @static
+     */
+    static getAccent() {
+        this._restoreTheme();
+        return this._getAccent();
+    }
+
+    /**
+     * Sets the accent color of the page. It is stored with the theme of the document.
+     * @param {string|null} color - A #rgb or #rrggbb color, null to remove the selected accent.
+     * @param {Object} [options={}] - Optional settings.
+     * @param {boolean} [options.persist=true] - Whether to save the accent to storage and notify other tabs.
+     * @returns {boolean} - Whether the accent was applied.
+     * @static
+     */
+    static setAccent(color, { persist = true } = {}) {
+        this._restoreTheme();
+        return this._updateAccent(color, { persist, broadcast: persist, source: 'api' });
+    }
+
+    /**
+     * Returns the resolved shared configuration, i.e. the defaults merged with all options passed so far.
+     * @returns {Object} - A copy of the configuration.
+     * @static
+     */
+    static getConfig() {
+        return cloneConfig(this._config);
+    }
+
+    /**
+     * Selects a theme, with or without a rendered control.
+     * @param {string} value - The theme value.
+     * @param {Object} [options={}] - Optional settings.
+     * @param {boolean} [options.persist=true] - Whether to save the theme to storage and apply it in other tabs.
+     * @returns {boolean} - Whether the theme was applied (false for unknown or canceled themes).
+     * @static
+     */
+    static setTheme(value, { persist = true } = {}) {
+        this._restoreTheme();
+        return this._updateTheme(value, { persist, broadcast: persist, source: 'api' });
+    }
+
+    /**
+     * Selects the theme following the current one in the menu order, wrapping around.
+     * @returns {string} - The selected theme.
+     * @static
+     */
+    static cycle() {
+        this._restoreTheme();
+
+        this._updateTheme(this._getNextTheme().id, { source: 'api' });
+        return this._globalScope.theme;
+    }
+
+    /**
+     * Removes the stored preference and falls back to the system theme, or to the first allowed theme when the policy
+     * does not allow it.
+     * @returns {void} This method does not return a value.
+     * @static
+     */
+    static reset() {
+        this._restoreTheme();
+        this._resetScope(this._globalScope);
+    }
+
+    /**
+     * Removes the stored preference of a scope. Inheriting scopes follow the document theme again, others fall back
+     * like a scope without a stored theme. The preference is removed even if the policy keeps the current theme.
+     * @param {Object} scope - The theme scope.
+     * @returns {void} This method does not return a value.
+     * @static
+     * @private
+     */
+    static _resetScope(scope) {
+        const key = this._getScopeKey(scope);
+
+        if (scope.inherit) {
+            this._inheritTheme(scope, 'api');
+        } else {
+            this._updateTheme(this._getFallbackTheme(), { scope, persist: false, broadcast: false, source: 'api' });
+        }
+
+        if (scope === this._globalScope) {
+            this._updateAccent(null, { persist: false, broadcast: false, source: 'api' });
+            this._scheduleSave({ value: null, accent: null, timestamp: Date.now() });
+        }
+
+        if (key) {
+            this._removeStorage(key);
+            this._broadcastTheme(null, scope);
+            this._debug('Stored theme removed.');
+        }
+    }
+
+    /**
+     * Renders the markup of a toggler to an HTML string, e.g. on the server. A toggler created later with the same
+     * root adopts the markup instead of rendering again. The options only apply to this render, not to the shared configuration.
+     * @param {Object} [options={}] - The options passed to run(), plus the state to render.
+     * @param {string} [options.theme='system'] - The selected theme id, or the stored entry read from the cookie storage.
+     * @param {string} [options.accentColor] - The accent color, defaults to the accent of the stored entry.
+     * @param {string} [options.resolved] - The light/dark value of the theme, the system preference is unknown on the server.
+     * @param {string} [options.lang] - The language, defaults to i18n.default.
+     * @param {Object} [options.translations] - Translations of the language, loaded remote translations for example.
+     * @param {string} [options.id='bs-theme-toggler'] - The element id.
+     * @returns {string} - The HTML string, empty for a custom renderer.
+     * @static
+     */
+    static renderToString(options = {}) {
+        try {
+            const { theme: value = 'system', resolved: resolvedValue, accentColor, lang, translations: overrides, id = 'bs-theme-toggler', ...rest } = options;
+            const context = this._createRenderContext(rest);
+            const config = context._config;
+
+            const { ui, icons, display, align } = config;
+            if (typeof ui === 'function') {
+                this._debug('Custom renderers cannot be rendered to a string.', null, true);
+                return '';
+            }
+
+            const language = lang || config.i18n.default;
+            const translations = { ...context._getInlineTranslations(language), ...overrides };
+            const { forced } = config.policy;
+            // The theme id, or the storage entry e.g. read from the cookie storage
+            const entry = context._parseStorageEntry(value);
+            const theme = context._getTheme(forced) || context._getTheme(entry.value) || context._getTheme(context._getFallbackTheme());
+            const resolved = resolvedValue || (theme.base === 'system' ? 'light' : context._resolveTheme(theme));
+
+            const themes = context._getThemes().map(item => {
+                const icon = context._resolveIcon(item, icons);
+                return {
+                    id: item.id,
+                    text: context._getThemeText(item, translations),
+                    icon: typeof icon === 'string' ? icon : null,
+                    active: item.id === theme.id
+                };
+            });
+
+            const label = context._translate('label', {}, translations);
+            const text = context._getThemeText(theme, translations);
+            const accent = parseColor(accentColor) || entry.accent || parseColor(config.accent.default);
+
+            return renderMarkup({
+                id,
+                ui,
+                align,
+                display,
+                classes: config.classes,
+                label,
+                current: context._translate('current', { label, theme: text }, translations),
+                resolved,
+                state: [theme.id, resolved, language, ...(config.accent.picker ? [accent || ''] : [])].join('|'),
+                disabled: !!forced,
+                themes,
+                dataApi: config.dropdown !== false,
+                accent: config.accent.picker ? {
+                    label: context._translate('accent', {}, translations),
+                    customLabel: context._translate('customAccent', {}, translations),
+                    colors: config.accent.colors.map(parseColor).filter(Boolean),
+                    custom: config.accent.custom,
+                    current: accent,
+                    value: accent || DEFAULT_ACCENT
+                } : null
+            });
+        } catch (error) {
+            this._debug('Error rendering markup', error, true);
+            return '';
+        }
+    }
+
+    /**
+     * Creates the context renderToString() renders from: it inherits the static methods of the toggler, but reads
+     * its own copy of the configuration and themes, so the options of one render do not change the shared state.
+     * @param {Object} options - The options of the render.
+     * @returns {Object} - The render context.
+     * @static
+     * @private
+     */
+    static _createRenderContext(options) {
+        const { options: valid, errors, warnings } = validateConfig(options || {}, CONFIG_SCHEMA);
+        errors.forEach(message => this._debug(message, null, true));
+        warnings.forEach(message => this._debug(message));
+
+        const themes = [...this._themes];
+        (valid.themes || []).map(definition => this._normalizeTheme(definition)).filter(Boolean).forEach(theme => {
+            const index = themes.findIndex(item => item.id === theme.id);
+            if (index === -1) {
+                themes.push(theme);
+            } else if (themes[index].base !== 'system' && themes[index].base !== 'schedule') {
+                themes[index] = theme;
+            }
+        });
+
+        return Object.create(this, {
+            _config: { value: mergeConfig(cloneConfig(this._config), valid, CONFIG_SCHEMA) },
+            _themes: { value: themes }
+        });
+    }
+
+    /**
+     * Returns the state a server-rendered element must have been rendered with to be adopted without changes.
+     * @param {Object} scope - The theme scope.
+     * @returns {string} - The state, compared with the data-bs-theme-toggler attribute.
+     * @static
+     * @private
+     */
+    static _getHydrationState(scope) {
+        const { theme, resolved } = this._getScopeState(scope);
+        const accent = this._config.accent.picker ? [this._getAccent() || ''] : [];
+        return [theme, resolved, this._language, ...accent].join('|');
+    }
+
+    /**
+     * Generates an inline <script> for the <head> that applies the stored theme before the first paint.
+     * @param {Object} [options={}] - The options passed to run(), plus an optional CSP nonce.
+     * @returns {string} - The <script> element as an HTML string.
+     * @static
+     */
+    static createHeadScript(options = {}) {
+        const config = mergeConfig(this._config, options, CONFIG_SCHEMA);
+        // Every registered theme, so the script applies their data-bs-theme value instead of the system preference
+        const themes = this._themes
+            .filter(theme => theme.base === 'light' || theme.base === 'dark')
+            .concat(config.themes || []);
+
+        return createHeadScript({ ...config, themes });
+    }
+
     /**
      * Sets the language for translations and updates the UI accordingly.
      * @param {string} lang - The language code to set.
@@ -420,28 +3842,21 @@ export default class BootstrapThemeToggler {
             this._debug(`Setting language to: ${lang}`);
             
             const translations = await this._loadTranslations(lang);
-            
-            this._config.i18n.translations = translations;
-            
-            const dropdown = document.getElementById(this._ELEMENT_ID);
-            if (dropdown) {
-                const dropdownItems = dropdown.querySelectorAll(".dropdown-menu li a");
-                dropdownItems.forEach(item => {
-                    const itemValue = item.getAttribute('data-value');
-                    if (itemValue === 'system') {
-                        item.textContent = translations.system || 'System';
-                    } else if (itemValue === 'light') {
-                        item.textContent = translations.light || 'Light';
-                    } else if (itemValue === 'dark') {
-                        item.textContent = translations.dark || 'Dark';
-                    }
-                });
-                
-                const button = dropdown.querySelector(".dropdown-toggle");
-                if (button) {
-                    button.innerHTML = `<i class="${button.querySelector('i').className}"></i> ${translations.system || 'System'}`;
-                }
+            if (!translations) {
+                this._debug(`Language ${lang} was replaced by a later request.`);
+                return;
             }
+
+            this._translations = translations;
+            this._language = lang;
+            
+            this._instances.forEach(instance => instance._sync());
+
+            this._dispatch('languagechange', {
+                language: lang,
+                theme: this._globalScope.theme,
+                resolved: this._globalScope.resolved
+            });
             
             this._debug(`Language updated to: ${lang}`);
         } catch (error) {
@@ -450,59 +3865,163 @@ export default class BootstrapThemeToggler {
     }    
 
     /**
-     * Initializes the theme toggler.
+     * Returns the configuration of this instance, i.e. the shared configuration with the instance options.
+     * @returns {Object} - A copy of the configuration.
+     */
+    getConfig() {
+        return cloneConfig({ ...BootstrapThemeToggler._config, ...this._options });
+    }
+
+    /**
+     * Returns the selected theme of the target of this instance.
+     * @returns {string} - The selected theme, the document theme while an inheriting target has none.
+     */
+    getTheme() {
+        BootstrapThemeToggler._restoreTheme(this._getScope());
+        return BootstrapThemeToggler._getScopeState(this._getScope()).theme;
+    }
+
+    /**
+     * Returns the light or dark value the theme of the target of this instance resolves to.
+     * @returns {string} - Either 'light' or 'dark'.
+     */
+    getResolvedTheme() {
+        BootstrapThemeToggler._restoreTheme(this._getScope());
+        return BootstrapThemeToggler._getScopeState(this._getScope()).resolved;
+    }
+
+    /**
+     * Selects a theme for the target of this instance.
+     * @param {string} value - The theme value.
      * @param {Object} [options={}] - Optional settings.
-     * @returns {Promise<void>} This method does not return a value but returns a promise.
+     * @param {boolean} [options.persist=true] - Whether to save the theme to storage and apply it in other tabs.
+     * @returns {boolean} - Whether the theme was applied (false for unknown or canceled themes).
+     */
+    setTheme(value, { persist = true } = {}) {
+        const scope = this._getScope();
+
+        BootstrapThemeToggler._restoreTheme(scope);
+        return BootstrapThemeToggler._updateTheme(value, { scope, persist, broadcast: persist, source: 'api', origin: this._element });
+    }
+
+    /**
+     * Selects the theme following the current one for the target of this instance.
+     * @returns {string} - The selected theme.
+     */
+    cycle() {
+        const Toggler = BootstrapThemeToggler;
+        const scope = this._getScope();
+
+        Toggler._restoreTheme(scope);
+        Toggler._updateTheme(Toggler._getNextTheme(scope).id, { scope, source: 'api', origin: this._element });
+        return Toggler._getScopeState(scope).theme;
+    }
+
+    /**
+     * Removes the stored preference of the target of this instance.
+     * @returns {void} This method does not return a value.
+     */
+    reset() {
+        BootstrapThemeToggler._restoreTheme(this._getScope());
+        BootstrapThemeToggler._resetScope(this._getScope());
+    }
+
+    /**
+     * Removes the control of this instance with its listeners. Shared listeners are removed with the last instance.
+     * @returns {void} This method does not return a value.
+     */
+    destroy() {
+        const Toggler = BootstrapThemeToggler;
+
+        if (this._destroyed) return;
+        this._destroyed = true;
+
+        if (this._element) {
+            this._unlisten(this._element);
+            this._element.remove();
+            this._element = null;
+        }
+
+        if (this._comment) {
+            this._comment.remove();
+            this._comment = null;
+        }
+
+        Toggler._instances = Toggler._instances.filter(instance => instance !== this);
+        if (Toggler._runInstance === this) {
+            Toggler._runInstance = null;
+        }
+
+        const scope = this._scope;
+        if (scope && scope !== Toggler._globalScope && !Toggler._instances.some(instance => instance._scope === scope)) {
+            Toggler._scopes = Toggler._scopes.filter(item => item !== scope);
+            Toggler._updateWatchers();
+        }
+
+        if (!Toggler._instances.length) {
+            Toggler._unwatchTheme();
+            Toggler._unlistenTabs();
+            Toggler._unlistenFrames();
+            Toggler._stopSync();
+            Toggler._initialized = null;
+            Toggler._scopes = [];
+
+            if (Toggler._languageObserver) {
+                Toggler._languageObserver.disconnect();
+                Toggler._languageObserver = null;
+            }
+            Object.assign(Toggler._globalScope, { theme: null, resolved: null, accent: null, restored: false });
+
+            if (Toggler._liveRegion) {
+                Toggler._liveRegion.remove();
+                Toggler._liveRegion = null;
+            }
+        }
+
+        Toggler._debug(`Destroyed element #${this._id}.`);
+    }
+
+    /**
+     * Initializes the theme toggler. Calling it again replaces the control created by the previous call.
+     * @param {Object} [options={}] - Optional settings.
+     * @returns {Promise<BootstrapThemeToggler>} - The created instance.
      * @static
      */
     static async run(options = {}) {
+        if (this._runInstance) {
+            this._runInstance.destroy();
+        }
+
+        this._runInstance = new BootstrapThemeToggler(options);
+        await this._runInstance.ready;
+
+        return this._runInstance;
+    }
+
+    /**
+     * Registers the custom element rendering a toggler in its light DOM, e.g. <bs-theme-toggler variant="cycle">.
+     * Called on load for the default name, call it to use another one.
+     * @param {string} [name='bs-theme-toggler'] - The element name.
+     * @returns {boolean} - Whether the element was registered.
+     * @static
+     */
+    static defineElement(name = 'bs-theme-toggler') {
         try {
-            this._config = { ...this._config, ...options };
-            
-            this._debug("Initializing..");
-            
-            let root;
-            if (typeof this._config.root === 'string') {
-                root = document.querySelector(this._config.root);
-            } else if (this._config.root instanceof HTMLElement) {
-                root = this._config.root;
-            } else {
-                root = document.body;
-            }
+            if (typeof customElements === 'undefined') return false;
 
-            if (!root) {
-                this._debug("Root element not found. Falling back to body.", null, true);
-                root = document.body;
-            }
-            
-            this._createElement(root);
-            
-            const detectedLanguage = this._detectLanguage();
-            const translations = await this._loadTranslations(detectedLanguage);
-            this._config.i18n = { ...this._config.i18n, translations };
-            
-            let theme = this._getStorage(this._LOCAL_STORAGE_KEY);
-            
-            if (theme === null) {
-                theme = "system";
-                this._setStorage(this._LOCAL_STORAGE_KEY, "system");
-                this._debug("No saved theme found. Defaulting to: system");
-            } else {
-                this._debug(`Saved theme found: ${theme}`);
+            if (customElements.get(name)) {
+                this._debug(`Element <${name}> is already defined.`);
+                return false;
             }
-            
-            this._updateTheme(theme);
-            
-            document.body.addEventListener("click", event => {
-                if (event.target.matches(`#${this._ELEMENT_ID} .dropdown-menu li a`)) {
-                    const selectedValue = event.target.getAttribute("data-value");
-                    this._updateTheme(selectedValue);
-                }
-            });
-            
-            this._debug("Initialized!");
+
+            customElements.define(name, createThemeTogglerElement(this));
+            this._debug(`Defined element <${name}>.`);
+            return true;
         } catch (error) {
-            this._debug('Error during initialization', error, true);
+            this._debug(`Error defining element <${name}>`, error, true);
+            return false;
         }
     }
 }
+
+BootstrapThemeToggler.defineElement();
@@ -0,0 +1,207 @@
+/**
+ * Renders the markup of a toggler to an HTML string, without a DOM.
+ * The markup matches the elements created in the browser, so a toggler can adopt it instead of rendering again.
+ */
+
+/**
+ * Escapes text for HTML text and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string} - The escaped string.
+ */
+const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Creates an HTML element string.
+ * @param {string} tag - The tag name.
+ * @param {Object} attributes - Attribute values; null, undefined and false are left out, true renders an empty attribute.
+ * @param {string} [content=''] - The inner HTML.
+ * @returns {string} - The element string.
+ */
+const element = (tag, attributes, content = '') => {
+    const list = Object.keys(attributes)
+        .filter(name => attributes[name] !== null && attributes[name] !== undefined && attributes[name] !== false && attributes[name] !== '')
+        .map(name => (attributes[name] === true ? ` ${name}` : ` ${name}="${escape(attributes[name])}"`))
+        .join('');
+
+    return tag === 'input' || tag === 'hr' ? `<${tag}${list}>` : `<${tag}${list}>${content}</${tag}>`;
+};
+
+/**
+ * Renders an icon hidden from screen readers, like _createIcon() of the toggler.
+ * @param {string|null} icon - A class string or an SVG string.
+ * @returns {string} - The icon markup, empty for no icon.
+ */
+const renderIcon = icon => {
+    if (typeof icon !== 'string' || !icon.trim()) return '';
+
+    if (/^\s*</.test(icon)) {
+        return icon.trim().replace(/^<(\w+)/, (match, tag) => (
+            tag.toLowerCase() === 'svg' ? `<${tag} focusable="false" aria-hidden="true"` : `<${tag} aria-hidden="true"`
+        ));
+    }
+
+    return element('i', { class: icon, 'aria-hidden': 'true' });
+};
+
+/**
+ * Renders the content of a button for a theme, like _createContent() of the toggler.
+ * @param {Object} theme - { text, icon }.
+ * @param {string} display - 'icon', 'text' or 'both'.
+ * @returns {string} - The content markup.
+ */
+const renderContent = (theme, display) => {
+    const icon = display === 'text' ? '' : renderIcon(theme.icon);
+
+    if (!icon) return escape(theme.text);
+    if (display === 'icon') return icon;
+    return `${icon} ${escape(theme.text)}`;
+};
+
+/**
+ * Joins class names, leaving out empty ones.
+ * @param {...string} names - The class names.
+ * @returns {string} - The class attribute value.
+ */
+const classNames = (...names) => names.filter(Boolean).join(' ');
+
+/**
+ * Renders the accent section of the dropdown menu, like _createAccentItems() of the toggler.
+ * @param {Object} accent - { label, customLabel, colors, custom, current, value }.
+ * @param {boolean} disabled - Whether the controls are disabled.
+ * @returns {string} - The list items.
+ */
+const renderAccent = (accent, disabled) => {
+    const swatches = accent.colors.map(color => element('button', {
+        type: 'button',
+        class: 'btn rounded-circle border p-0',
+        style: `width: 1.5rem; height: 1.5rem; outline-offset: 2px; background-color: ${color};${color === accent.current ? ' outline: 2px solid var(--bs-body-color);' : ''}`,
+        role: 'menuitemradio',
+        'aria-checked': String(color === accent.current),
+        'aria-label': color,
+        'data-accent': color,
+        disabled
+    })).join('');
+
+    const input = accent.custom ? element('input', {
+        type: 'color',
+        class: 'form-control form-control-color p-0 border-0',
+        style: 'width: 1.5rem; height: 1.5rem;',
+        value: accent.value,
+        'aria-label': accent.customLabel,
+        'data-accent': 'custom',
+        disabled
+    }) : '';
+
+    return element('li', { role: 'separator' }, element('hr', { class: 'dropdown-divider' }))
+        + element('li', { role: 'none' }, element('div', {
+            class: 'd-flex flex-wrap align-items-center gap-1 px-3 py-1',
+            role: 'group',
+            'aria-label': accent.label
+        }, swatches + input));
+};
+
+/**
+ * Renders the markup of a toggler.
+ * @param {Object} model - The state to render, prepared by BootstrapThemeToggler.renderToString().
+ * @param {string} model.id - The element id.
+ * @param {string} model.ui - 'dropdown', 'nav', 'switch', 'buttons' or 'cycle'.
+ * @param {Object} model.classes - Custom classes: container, button and menu.
+ * @param {string} model.align - 'start' or 'end'.
+ * @param {string|null} model.display - 'icon', 'text', 'both' or null for the default of the ui.
+ * @param {string} model.label - Accessible name of the control.
+ * @param {string} model.current - Accessible name including the selected theme.
+ * @param {string} model.resolved - The light/dark value of the selected theme.
+ * @param {string} model.state - Hydration marker, compared with the client state.
+ * @param {boolean} model.disabled - Whether the controls are disabled, e.g. for a forced theme.
+ * @param {Array<Object>} model.themes - { id, text, icon, active } per theme.
+ * @param {Object|null} [model.accent] - The accent picker of the dropdown menu, see renderAccent().
+ * @param {boolean} [model.dataApi=true] - Whether Bootstrap's data API opens the dropdown, false for the built-in menu.
+ * @returns {string} - The HTML string.
+ */
+export function renderMarkup(model) {
+    const { id, ui, classes = {}, align, display, label, current, resolved, state, themes, disabled, accent, dataApi = true } = model;
+    const active = themes.find(theme => theme.active) || themes[0];
+    const root = { class: null, id, 'data-bs-theme-toggler': state };
+
+    if (ui === 'switch') {
+        const dark = themes.find(theme => theme.id === 'dark');
+        const input = element('input', {
+            class: classNames('form-check-input', classes.button),
+            type: 'checkbox',
+            id: `${id}-switch`,
+            role: 'switch',
+            'data-action': 'switch',
+            checked: resolved === 'dark',
+            disabled
+        });
+        const text = element('label', { class: 'form-check-label', for: `${id}-switch` }, escape(dark ? dark.text : 'Dark'));
+
+        return element('div', { ...root, class: classNames('form-check form-switch', classes.container) }, input + text);
+    }
+
+    if (ui === 'buttons') {
+        const content = themes.map(theme => (
+            element('input', {
+                class: 'btn-check',
+                type: 'radio',
+                name: `${id}-theme`,
+                id: `${id}-${theme.id}`,
+                value: theme.id,
+                autocomplete: 'off',
+                'data-value': theme.id,
+                'aria-label': theme.text,
+                checked: theme.active,
+                disabled
+            })
+            + element('label', { class: classNames('btn', classes.button || 'btn-outline-secondary'), for: `${id}-${theme.id}` }, renderContent(theme, display || 'both'))
+        )).join('');
+
+        return element('div', { ...root, class: classNames('btn-group', classes.container), role: 'radiogroup', 'aria-label': label }, content);
+    }
+
+    if (ui === 'cycle') {
+        return element('button', {
+            ...root,
+            type: 'button',
+            class: classNames('btn border-0', classes.button, classes.container),
+            'data-action': 'cycle',
+            title: active ? active.text : null,
+            'aria-label': current,
+            disabled
+        }, active ? renderContent(active, display || 'icon') : '');
+    }
+
+    const nav = ui === 'nav';
+    const items = themes.map(theme => element('li', { role: 'none' }, element('button', {
+        type: 'button',
+        class: classNames('dropdown-item', theme.active && 'active'),
+        role: 'menuitemradio',
+        'aria-checked': String(theme.active),
+        'data-value': theme.id,
+        disabled
+    }, escape(theme.text)))).join('');
+
+    const button = element('button', {
+        type: 'button',
+        class: classNames(nav ? 'nav-link' : 'btn border-0', 'dropdown-toggle', classes.button),
+        'data-bs-toggle': dataApi && 'dropdown',
+        'data-bs-auto-close': dataApi && 'outside',
+        'aria-expanded': 'false',
+        'aria-haspopup': 'menu',
+        id: `${id}-toggle`,
+        'aria-label': current,
+        disabled
+    }, active ? renderContent(active, display || 'both') : '');
+
+    const menu = element('ul', {
+        class: classNames('dropdown-menu', align === 'end' && 'dropdown-menu-end', classes.menu),
+        role: 'menu',
+        'aria-labelledby': `${id}-toggle`
+    }, items + (accent ? renderAccent(accent, disabled) : ''));
+
+    return element(nav ? 'li' : 'div', { ...root, class: classNames(nav ? 'nav-item dropdown' : 'dropdown', classes.container) }, button + menu);
+}
@@ -0,0 +1,106 @@
+/**
+ * Storage adapters used to persist the selected theme.
+ * An adapter implements get(key), set(key, value) and remove(key) with string values,
+ * and sets `shared` when its values are visible to other tabs of the same site.
+ */
+
+/**
+ * Creates an adapter for localStorage or sessionStorage.
+ * Throws if the storage is not available, e.g. in Safari private mode or with blocked cookies.
+ * @param {string} type - Either 'local' or 'session'.
+ * @returns {Object} - The storage adapter.
+ */
+export function createWebStorageAdapter(type) {
+    const storage = type === 'session' ? window.sessionStorage : window.localStorage;
+
+    const probe = '__bootstrap-theme-toggler__';
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+
+    return {
+        type,
+        shared: type === 'local',
+        get: key => storage.getItem(key),
+        set: (key, value) => storage.setItem(key, value),
+        remove: key => storage.removeItem(key)
+    };
+}
+
+/**
+ * Creates an adapter storing values in a cookie, so the server can read the theme.
+ * @param {Object} [options={}] - Cookie settings.
+ * @param {string} [options.name] - Cookie name of the document key, defaults to the storage key.
+ * @param {string} [options.key] - The document key. Scoped keys derived from it (e.g. 'useTheme:#sidebar') are stored
+ * under the cookie name with the same suffix (e.g. 'theme:#sidebar'), other keys under their own name.
+ * @param {string} [options.domain] - Cookie domain.
+ * @param {string} [options.path='/'] - Cookie path.
+ * @param {string} [options.sameSite='Lax'] - SameSite attribute, 'Lax', 'Strict' or 'None'.
+ * @param {boolean} [options.secure] - Secure attribute, defaults to true on https and for SameSite=None.
+ * @param {number|null} [expiration=null] - Lifetime in milliseconds, mapped to max-age; null keeps the cookie for a year.
+ * @returns {Object} - The storage adapter.
+ */
+export function createCookieAdapter(options = {}, expiration = null) {
+    const { domain, path = '/', sameSite = 'Lax' } = options;
+    const secure = options.secure !== undefined
+        ? options.secure
+        : sameSite === 'None' || window.location.protocol === 'https:';
+
+    const name = key => {
+        const { name: cookie, key: documentKey } = options;
+        if (!cookie || !documentKey) return encodeURIComponent(key);
+        if (key === documentKey) return encodeURIComponent(cookie);
+        return encodeURIComponent(key.startsWith(`${documentKey}:`) ? `${cookie}${key.slice(documentKey.length)}` : key);
+    };
+    const write = (key, value, maxAge) => {
+        const attributes = [`${name(key)}=${value}`, `path=${path}`, `max-age=${maxAge}`, `SameSite=${sameSite}`];
+        if (domain) attributes.push(`domain=${domain}`);
+        if (secure) attributes.push('Secure');
+        document.cookie = attributes.join('; ');
+    };
+
+    return {
+        type: 'cookie',
+        shared: true,
+        get: key => {
+            const prefix = `${name(key)}=`;
+            const cookie = document.cookie.split('; ').find(item => item.startsWith(prefix));
+            return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+        },
+        set: (key, value) => write(key, encodeURIComponent(value), expiration ? Math.ceil(expiration / 1000) : 31536000),
+        remove: key => write(key, '', 0)
+    };
+}
+
+/**
+ * Creates an adapter keeping values in memory for the lifetime of the page.
+ * @returns {Object} - The storage adapter.
+ */
+export function createMemoryAdapter() {
+    const values = {};
+
+    return {
+        type: 'memory',
+        shared: false,
+        get: key => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+        set: (key, value) => {
+            values[key] = value;
+        },
+        remove: key => {
+            delete values[key];
+        }
+    };
+}
+
+/**
+ * Creates an adapter that does not store anything.
+ * @returns {Object} - The storage adapter.
+ */
+export function createNoopAdapter() {
+    return {
+        type: 'none',
+        shared: false,
+        get: () => null,
+        set: () => {},
+        remove: () => {}
+    };
+}
@@ -2,16 +2,16 @@ const path = require('path');
 const TerserPlugin = require('terser-webpack-plugin');
 const webpack = require('webpack');
 
-module.exports = [
+const createConfig = (entry, filename) => (
     {
         watch: true,
         watchOptions: {
             ignored: /node_modules/,
         },
         mode: 'production',
-        entry: './src/index.js',
+        entry,
         output: {
-            filename: 'bootstrap-theme-toggler.min.js',
+            filename,
             path: path.resolve(__dirname, 'dist'),
             library: {
                 type: 'module',
@@ -70,5 +70,10 @@ Using Bootstrap's dropdown menu, users can select their preferred theme, and Boo
 Build date: ${new Date().toLocaleString()}`,
             }),
         ],        
-    },
+    }
+);
+
+module.exports = [
+    createConfig('./src/index.js', 'bootstrap-theme-toggler.min.js'),
+    createConfig('./src/head.js', 'bootstrap-theme-toggler-head.min.js'),
 ];